@@ -0,0 +1,328 @@
+// Witness Gallery
+// Demo gallery UI on top of the engine: fills #canvas-container with animated eyeball cards
+// and wires up the seed input, clear and metadata export buttons.
+// Load it after the engine, the seed helpers and the exporters:
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="witness-seeds.js"></script>
+//   <script src="witness-export.js"></script>
+//   <script src="eyeball-raster.js"></script>
+//   <script src="witness-animation.js"></script>
+//   <script src="eyeball-gallery.js"></script>
+
+// Global variables
+let eyeballs = [];
+let canvasContainer;
+let animationLoops = [];
+
+// Initialize the application
+function init() {
+    canvasContainer = document.getElementById('canvas-container');
+    generateNewCollection();
+}
+
+// Generate a new collection of eyeballs
+function generateNewCollection() {
+    clearCollection();
+    
+    const numEyeballs = 12; // Generate 12 unique eyeballs
+    
+    for (let i = 0; i < numEyeballs; i++) {
+        generateSingleEye();
+    }
+}
+
+// Generate an eyeball with a specific seed
+function generateEyeballWithSeed(seed) {
+    const eyeball = new Eyeball(seed, 300, 300);
+    
+    // Create container for eyeball and metadata
+    const eyeballContainer = document.createElement('div');
+    eyeballContainer.className = 'eyeball-container';
+    eyeballContainer.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        margin: 15px;
+        padding: 15px;
+        background: linear-gradient(145deg, #1a1a2e, #16213e);
+        border-radius: 15px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        transition: transform 0.3s ease;
+        max-width: 350px;
+    `;
+    
+    eyeballContainer.addEventListener('mouseenter', () => {
+        eyeballContainer.style.transform = 'scale(1.02)';
+    });
+    
+    eyeballContainer.addEventListener('mouseleave', () => {
+        eyeballContainer.style.transform = 'scale(1)';
+    });
+    
+    canvasContainer.appendChild(eyeballContainer);
+    
+    // Create canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = 300;
+    canvas.height = 300;
+    canvas.className = 'eyeball-canvas';
+    canvas.style.borderRadius = '15px';
+    
+    const canvasDiv = document.createElement('div');
+    canvasDiv.style.position = 'relative';
+    canvasDiv.appendChild(canvas);
+    eyeballContainer.appendChild(canvasDiv);
+    
+    // Add seed info
+    const seedInfo = document.createElement('div');
+    seedInfo.textContent = `#${seed}`;
+    seedInfo.style.cssText = `
+        position: absolute;
+        top: 8px;
+        right: 8px;
+        background: linear-gradient(45deg, #ff006e, #8338ec);
+        color: white;
+        padding: 4px 8px;
+        font-size: 12px;
+        font-weight: bold;
+        border-radius: 12px;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+    `;
+    canvasDiv.appendChild(seedInfo);
+    
+    // Animated export buttons
+    const exportRow = document.createElement('div');
+    exportRow.style.cssText = `
+        display: flex;
+        gap: 6px;
+        margin-top: 8px;
+    `;
+    ['gif', 'apng', 'webm'].forEach(format => {
+        const button = document.createElement('button');
+        button.textContent = format.toUpperCase();
+        button.style.cssText = `
+            background: rgba(255, 255, 255, 0.05);
+            color: #aaa;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 6px;
+            padding: 3px 10px;
+            font-size: 11px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            await exportAnimation(seed, format);
+            button.disabled = false;
+        });
+        exportRow.appendChild(button);
+    });
+    eyeballContainer.appendChild(exportRow);
+    
+    // Get canvas context
+    const ctx = canvas.getContext('2d');
+    
+    // Animation loop
+    function animate() {
+        eyeball.draw(ctx);
+        requestAnimationFrame(animate);
+    }
+    
+    // Start animation
+    const animationId = requestAnimationFrame(animate);
+    animationLoops.push(animationId);
+    
+    // Create metadata display
+    const metadataDiv = document.createElement('div');
+    metadataDiv.className = 'metadata-display';
+    metadataDiv.style.cssText = `
+        width: 100%;
+        margin-top: 10px;
+        background: linear-gradient(135deg, #0f0f23, #1a1a2e);
+        border-radius: 8px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        overflow: hidden;
+        transition: all 0.3s ease;
+    `;
+    
+    // Create header (always visible)
+    const header = document.createElement('div');
+    header.style.cssText = `
+        padding: 10px 15px;
+        cursor: pointer;
+        user-select: none;
+        background: rgba(255, 255, 255, 0.05);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    `;
+    
+    const title = document.createElement('h3');
+    title.textContent = `Witness #${seed}`;
+    title.style.cssText = `
+        margin: 0;
+        color: #fff;
+        font-size: 14px;
+        text-shadow: 0 0 10px rgba(255, 255, 255, 0.3);
+    `;
+    
+    const toggleIcon = document.createElement('span');
+    toggleIcon.textContent = '▼';
+    toggleIcon.style.cssText = `
+        color: #8338ec;
+        font-size: 12px;
+        transition: transform 0.3s ease;
+        transform: rotate(-90deg);
+    `;
+    
+    header.appendChild(title);
+    header.appendChild(toggleIcon);
+    metadataDiv.appendChild(header);
+    
+    // Create content container (collapsible)
+    const contentDiv = document.createElement('div');
+    contentDiv.style.cssText = `
+        max-height: 0;
+        overflow: hidden;
+        transition: max-height 0.3s ease;
+        padding: 0 15px;
+    `;
+    
+    // Add traits to content
+    const traitsContainer = document.createElement('div');
+    traitsContainer.style.cssText = `
+        padding: 10px 0;
+    `;
+    
+    eyeball.metadata.traits.forEach(trait => {
+        const traitDiv = document.createElement('div');
+        traitDiv.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin: 4px 0;
+            padding: 4px 8px;
+            background: rgba(255, 255, 255, 0.03);
+            border-radius: 4px;
+            border-left: 2px solid #8338ec;
+        `;
+        
+        const traitName = document.createElement('span');
+        traitName.textContent = trait.name;
+        traitName.style.cssText = `
+            color: #aaa;
+            font-size: 11px;
+            font-weight: 500;
+        `;
+        
+        const traitValue = document.createElement('span');
+        traitValue.textContent = trait.value;
+        traitValue.style.cssText = `
+            color: #fff;
+            font-size: 11px;
+            font-weight: bold;
+            text-shadow: 0 0 5px rgba(255, 255, 255, 0.2);
+        `;
+        
+        traitDiv.appendChild(traitName);
+        traitDiv.appendChild(traitValue);
+        traitsContainer.appendChild(traitDiv);
+    });
+    
+    contentDiv.appendChild(traitsContainer);
+    metadataDiv.appendChild(contentDiv);
+    
+    // Add click handler for toggle
+    let isExpanded = false;
+    header.addEventListener('click', () => {
+        isExpanded = !isExpanded;
+        if (isExpanded) {
+            contentDiv.style.maxHeight = contentDiv.scrollHeight + 'px';
+            toggleIcon.style.transform = 'rotate(0deg)';
+        } else {
+            contentDiv.style.maxHeight = '0';
+            toggleIcon.style.transform = 'rotate(-90deg)';
+        }
+    });
+    
+    eyeballContainer.appendChild(metadataDiv);
+    
+    eyeballs.push(eyeball);
+    return seed;
+}
+
+// Generate a single eyeball
+function generateSingleEye() {
+    const seed = Math.floor(Math.random() * 1000000); // Generate random seed
+    return generateEyeballWithSeed(seed);
+}
+
+// Generate eyeball from seed input: a seed from 1 to 999999, an inscription ID,
+// a txid, sat:<number>, text:<text> or any other text (see witness-seeds.js)
+function generateFromSeed() {
+    const seedInput = document.getElementById('seedInput');
+    
+    let seed;
+    try {
+        seed = seedFromInput(seedInput.value);
+    } catch (error) {
+        alert(`${error.message}. Please enter a seed between 1 and 999999, an inscription ID, a txid, sat:<number> or some text`);
+        return;
+    }
+    
+    generateEyeballWithSeed(seed);
+    seedInput.value = ''; // Clear input
+}
+
+// Clear all eyeballs
+function clearCollection() {
+    // Stop all animation loops
+    animationLoops.forEach(id => cancelAnimationFrame(id));
+    animationLoops = [];
+    
+    // Remove all eyeball containers
+    const containers = document.querySelectorAll('.eyeball-container');
+    containers.forEach(container => {
+        container.remove();
+    });
+    
+    // Clear the eyeballs array
+    eyeballs = [];
+}
+
+// Export metadata for NFT marketplaces: format is one of EXPORT_FORMATS in witness-export.js
+// (ordinals, erc721, csv). Collection name, description and URLs come from WITNESS_EXPORT_CONFIG
+// if the page defines it, otherwise the defaults in EXPORT_CONFIG.
+function exportMetadata(format = 'erc721') {
+    const config = typeof WITNESS_EXPORT_CONFIG !== 'undefined' ? WITNESS_EXPORT_CONFIG : {};
+    const witnesses = eyeballs.map((eyeball, index) => ({ token: index + 1, seed: eyeball.seed, eyeball }));
+    const file = exportCollection(format, witnesses, config);
+    downloadBlob(new Blob([file.content], {type: file.contentType}), file.filename);
+}
+
+// Download an animated GIF, APNG or WebM of a Witness (see witness-animation.js)
+async function exportAnimation(seed, format = 'gif') {
+    try {
+        if (format === 'webm') {
+            downloadBlob(await recordWebM(seed), `witness_${seed}.webm`);
+        } else {
+            const animation = encodeAnimation(seed, format);
+            downloadBlob(new Blob([animation.bytes], {type: animation.contentType}), animation.filename);
+        }
+    } catch (error) {
+        alert(`Could not export the animation: ${error.message}`);
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Initialize when the page loads
+document.addEventListener('DOMContentLoaded', init);
@@ -1,5 +1,11 @@
 // Generative Abstract Eyeballs - Native Canvas Version
 // No external dependencies - perfect for Bitcoin inscription
+// Renders both the gallery eyes and the transparent eyes through render presets
+//
+// This file is the engine only: it defines SeededRandom, Canvas2DBackend, CanvasHelper and
+// Eyeball and has no side effects, so it can be loaded by any page, worker or Node script.
+// The gallery UI lives in eyeball-gallery.js. For ES modules import eyeball-generator-native.mjs,
+// which tools/build-engine.js generates from this file (npm run build).
 
 // Seeded random number generator
 class SeededRandom {
@@ -36,14 +42,115 @@ class SeededRandom {
     boolean(probability = 0.5) {
         return this.next() < probability;
     }
+    
+    // Random choice from [{ weight, ... }] in proportion to weight. One draw, and with every
+    // weight 1 it picks exactly what choice() would.
+    weighted(items) {
+        const total = items.reduce((sum, item) => sum + item.weight, 0);
+        const pick = this.range(0, total);
+        let cumulative = 0;
+        for (const item of items) {
+            cumulative += item.weight;
+            if (pick < cumulative) return item;
+        }
+        return items[items.length - 1];
+    }
+    
+    // Hash any number of integers into a well-mixed 32-bit seed
+    static mix(...values) {
+        let h = 0x9e3779b9;
+        values.forEach(value => {
+            h = Math.imul(h ^ (value >>> 0), 0x85ebca6b);
+            h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+            h ^= h >>> 16;
+        });
+        return h >>> 0;
+    }
 }
 
-// Canvas helper functions to replace p5.js
-class CanvasHelper {
+// Default backend: draws straight onto a browser CanvasRenderingContext2D.
+// Every backend implements the same small interface that CanvasHelper talks to:
+//   width, height
+//   save(), restore(), translate(x, y), rotate(angle), scale(x, y)
+//   setFill(color), setStroke(color), setLineWidth(weight)   - color is [r, g, b, a] or null
+//   fillCanvas(color), fillEllipse(x, y, rx, ry), fillRect(x, y, w, h)
+//   fillPolygon(points), strokePolyline(points, closed)       - points are [{x, y}, ...]
+class Canvas2DBackend {
     constructor(ctx) {
         this.ctx = ctx;
+        this.width = ctx.canvas.width;
+        this.height = ctx.canvas.height;
+    }
+    
+    save() { this.ctx.save(); }
+    restore() { this.ctx.restore(); }
+    translate(x, y) { this.ctx.translate(x, y); }
+    rotate(angle) { this.ctx.rotate(angle); }
+    scale(x, y) { this.ctx.scale(x, y); }
+    
+    setFill(color) {
+        this.ctx.fillStyle = Canvas2DBackend.toStyle(color);
+    }
+    
+    setStroke(color) {
+        this.ctx.strokeStyle = Canvas2DBackend.toStyle(color);
+    }
+    
+    setLineWidth(weight) {
+        this.ctx.lineWidth = weight;
+    }
+    
+    fillCanvas(color) {
+        this.ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+    
+    fillEllipse(x, y, rx, ry) {
+        this.ctx.beginPath();
+        this.ctx.ellipse(x, y, rx, ry, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+    
+    fillRect(x, y, w, h) {
+        this.ctx.fillRect(x, y, w, h);
+    }
+    
+    fillPolygon(points) {
+        this.tracePath(points, true);
+        this.ctx.fill();
+    }
+    
+    strokePolyline(points, closed) {
+        this.tracePath(points, closed);
+        this.ctx.stroke();
+    }
+    
+    tracePath(points, closed) {
+        this.ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
+        });
+        if (closed) this.ctx.closePath();
+    }
+    
+    static toStyle(color) {
+        if (!color) return 'transparent';
+        return `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${color[3]/255})`;
+    }
+}
+
+// Canvas helper functions to replace p5.js
+// Accepts either a 2D canvas context or any backend implementing the interface above
+class CanvasHelper {
+    constructor(target) {
+        this.backend = typeof target.fillEllipse === 'function' ? target : new Canvas2DBackend(target);
         this.TWO_PI = Math.PI * 2;
         this.PI = Math.PI;
+        this.shape = [];
     }
     
     // Math functions
@@ -57,54 +164,49 @@ class CanvasHelper {
     }
     
     // Drawing state
-    push() { this.ctx.save(); }
-    pop() { this.ctx.restore(); }
-    translate(x, y) { this.ctx.translate(x, y); }
-    rotate(angle) { this.ctx.rotate(angle); }
+    push() { this.backend.save(); }
+    pop() { this.backend.restore(); }
+    translate(x, y) { this.backend.translate(x, y); }
+    rotate(angle) { this.backend.rotate(angle); }
+    scale(x, y = x) { this.backend.scale(x, y); }
     
     // Background
     background(r, g, b) {
-        this.ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-        this.ctx.fillRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+        this.backend.fillCanvas([r, g, b, 255]);
     }
     
     // Fill and stroke
     fill(r, g, b, a = 255) {
-        this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${a/255})`;
+        this.backend.setFill([r, g, b, a]);
     }
     
     stroke(r, g, b, a = 255) {
-        this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${a/255})`;
+        this.backend.setStroke([r, g, b, a]);
     }
     
     strokeWeight(weight) {
-        this.ctx.lineWidth = weight;
+        this.backend.setLineWidth(weight);
     }
     
     noStroke() {
-        this.ctx.strokeStyle = 'transparent';
+        this.backend.setStroke(null);
     }
     
     noFill() {
-        this.ctx.fillStyle = 'transparent';
+        this.backend.setFill(null);
     }
     
     // Basic shapes
     ellipse(x, y, w, h = w) {
-        this.ctx.beginPath();
-        this.ctx.ellipse(x, y, w/2, h/2, 0, 0, this.TWO_PI);
-        this.ctx.fill();
+        this.backend.fillEllipse(x, y, w/2, h/2);
     }
     
     line(x1, y1, x2, y2) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.stroke();
+        this.backend.strokePolyline([{x: x1, y: y1}, {x: x2, y: y2}], false);
     }
     
     rect(x, y, w, h) {
-        this.ctx.fillRect(x - w/2, y - h/2, w, h);
+        this.backend.fillRect(x - w/2, y - h/2, w, h);
     }
     
     rectMode(mode) {
@@ -113,41 +215,42 @@ class CanvasHelper {
     
     // Path functions
     beginShape() {
-        this.ctx.beginPath();
+        this.shape = [];
     }
     
     endShape(close = false) {
-        if (close) this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.stroke();
+        if (this.shape.length === 0) return;
+        this.backend.fillPolygon(this.shape);
+        this.backend.strokePolyline(this.shape, close);
     }
     
+    // firstVertex is kept for older callers; a shape always starts at its first vertex
     vertex(x, y) {
-        if (this.firstVertex) {
-            this.ctx.moveTo(x, y);
-            this.firstVertex = false;
-        } else {
-            this.ctx.lineTo(x, y);
-        }
+        this.shape.push({x, y});
+        this.firstVertex = false;
     }
     
     triangle(x1, y1, x2, y2, x3, y3) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.lineTo(x3, y3);
-        this.ctx.closePath();
-        this.ctx.fill();
+        this.backend.fillPolygon([{x: x1, y: y1}, {x: x2, y: y2}, {x: x3, y: y3}]);
     }
 }
 
 class Eyeball {
-    constructor(seed, canvasWidth = 300, canvasHeight = 300) {
-        this.w = canvasWidth;
-        this.h = canvasHeight;
-        this.centerX = this.w / 2;
-        this.centerY = this.h / 2;
+    constructor(seed, canvasWidth = 300, canvasHeight = 300, options = {}) {
+        this.options = Eyeball.resolveOptions(options);
+        
+        // All geometry is authored in pixels of a referenceSize canvas. Relative mode scales
+        // the whole drawing to the real canvas so a seed looks the same at any resolution;
+        // absolute (legacy) mode draws at those pixel sizes whatever the canvas.
+        this.unit = this.options.scale === 'relative'
+            ? Math.min(canvasWidth, canvasHeight) / this.options.referenceSize
+            : 1;
+        this.w = canvasWidth / this.unit;
+        this.h = canvasHeight / this.unit;
+        this.centerX = this.w * this.options.anchor.x;
+        this.centerY = this.h * this.options.anchor.y;
         this.seed = seed;
+        this.palette = Eyeball.resolvePalette(this.options.palette);
         
         // Initialize seeded random generator
         this.rng = new SeededRandom(seed);
@@ -157,164 +260,341 @@ class Eyeball {
         
         // Animation properties
         this.time = 0;
+        this.frame = 0;
         this.animationSpeed = this.rng.range(0.01, 0.05);
+        
+        // Loop mode: free-running frame n + loopFrames looks exactly like frame n. By default the
+        // loop lasts about one cycle of the eye's slowest drift, within Eyeball.LOOP_FRAMES.
+        this.loopFrames = null;
+        this.loopPeriod = null;
+        if (this.options.loop) {
+            const naturalFrames = Math.round(2 * Math.PI / this.frameTime(1));
+            this.loopFrames = this.options.loop === true
+                ? Math.min(Eyeball.LOOP_FRAMES.max, Math.max(Eyeball.LOOP_FRAMES.min, naturalFrames))
+                : this.options.loop;
+            this.loopPeriod = this.frameTime(this.loopFrames);
+        }
+    }
+    
+    // Merge render options over a preset (options.preset, or Eyeball.defaultOptions)
+    static resolveOptions(options = {}) {
+        const base = options.preset ? Eyeball.PRESETS[options.preset] : Eyeball.defaultOptions;
+        if (!base) {
+            throw new Error(`Unknown render preset "${options.preset}"`);
+        }
+        
+        const resolved = {
+            ...base,
+            ...options,
+            anchor: { ...base.anchor, ...options.anchor },
+            laser: { ...base.laser, ...options.laser }
+        };
+        if (resolved.scale !== 'absolute' && resolved.scale !== 'relative') {
+            throw new Error(`Unknown scale mode "${resolved.scale}"`);
+        }
+        if (resolved.laser.target !== 'floor' && resolved.laser.target !== 'length') {
+            throw new Error(`Unknown laser target "${resolved.laser.target}"`);
+        }
+        if (typeof resolved.loop !== 'boolean' && !(Number.isInteger(resolved.loop) && resolved.loop > 0)) {
+            throw new Error(`Loop must be true, false or a number of frames, not "${resolved.loop}"`);
+        }
+        if (resolved.traits !== undefined) {
+            Eyeball.validateTraits(resolved.traits);
+        }
+        return resolved;
+    }
+    
+    // Throws on forged traits (options.traits) the engine can't draw, so a bad name fails
+    // here rather than drawing something else or showing "undefined"
+    static validateTraits(traits) {
+        if (!traits || typeof traits !== 'object' || Array.isArray(traits)) {
+            throw new Error('Forged traits must be an object of property values');
+        }
+        Object.keys(traits).forEach(key => {
+            const trait = Eyeball.TRAIT_SPEC[key];
+            const value = traits[key];
+            if (!trait) {
+                throw new Error(`Unknown trait "${key}" (expected ${Object.keys(Eyeball.TRAIT_SPEC).join(', ')})`);
+            }
+            const options = Eyeball.traitOptions(key);
+            if (options && !options.some(option => option.name === value)) {
+                throw new Error(`Trait ${key} must be one of ${options.map(option => option.name).join(', ')}, not "${value}"`);
+            }
+            if (trait.range && !(typeof value === 'number' && value >= trait.range[0] && value <= trait.range[1])) {
+                throw new Error(`Trait ${key} must be a number from ${trait.range[0]} to ${trait.range[1]}, not "${value}"`);
+            }
+            if (trait.effect && typeof value !== 'boolean') {
+                throw new Error(`Trait ${key} must be true or false, not "${value}"`);
+            }
+            if (trait.palette && !(Array.isArray(value) && value.length === 3 && value.every(channel => channel >= 0 && channel <= 255))) {
+                throw new Error(`Trait ${key} must be an [r, g, b] color, not ${JSON.stringify(value)}`);
+            }
+        });
+    }
+    
+    // Adds (or replaces) a named palette set that options.palette can then select
+    static registerPalette(name, set) {
+        Eyeball.resolvePalette(set); // Fail now rather than on the first eye
+        Eyeball.PALETTE_SETS[name] = set;
+    }
+    
+    // A palette set by name or given inline, checked and completed:
+    // { palettes (every type), jitter, named: [{ name, rgb }] }
+    static resolvePalette(palette) {
+        const set = typeof palette === 'string' ? Eyeball.PALETTE_SETS[palette] : palette;
+        if (!set || typeof set !== 'object') {
+            throw new Error(`Unknown palette set "${palette}"`);
+        }
+        
+        const jitter = set.jitter === undefined ? 30 : set.jitter;
+        if (typeof jitter !== 'number' || !(jitter >= 0)) {
+            throw new Error(`Palette jitter must be 0 or more, not "${jitter}"`);
+        }
+        
+        const palettes = { ...Eyeball.COLOR_PALETTES };
+        const named = [];
+        Object.keys(set.palettes || {}).forEach(type => {
+            const entries = set.palettes[type];
+            if (!Eyeball.COLOR_PALETTES[type]) {
+                throw new Error(`Unknown palette "${type}" (expected ${Object.keys(Eyeball.COLOR_PALETTES).join(', ')})`);
+            }
+            if (!Array.isArray(entries) || entries.length === 0) {
+                throw new Error(`Palette "${type}" needs at least one color`);
+            }
+            entries.forEach(entry => {
+                const rgb = Array.isArray(entry) ? entry : entry && entry.rgb;
+                if (!Array.isArray(rgb) || rgb.length !== 3 || !rgb.every(value => value >= 0 && value <= 255)) {
+                    throw new Error(`Palette "${type}" has an invalid color ${JSON.stringify(entry)}`);
+                }
+                if (!Array.isArray(entry) && entry.name) {
+                    named.push({ name: entry.name, rgb });
+                }
+            });
+            palettes[type] = entries.map(entry => Array.isArray(entry) ? entry : entry.rgb);
+        });
+        
+        return { palettes, jitter, named };
+    }
+    
+    // Animation time of a free-running frame (frame 1 is the first one drawn)
+    frameTime(frame) {
+        return frame * this.animationSpeed * this.animationEnergy;
+    }
+    
+    // Angular frequency of an animated term. Free-running it is f itself; in loop mode it is
+    // rounded to a whole number of cycles per loop period (at least one), so the term repeats
+    // with the loop.
+    freq(f) {
+        if (!this.loopPeriod) return f;
+        const cycles = Math.max(1, Math.round(f * this.loopPeriod / (2 * Math.PI)));
+        return cycles * 2 * Math.PI / this.loopPeriod;
+    }
+    
+    // Position of a time within the loop period (the time itself when free-running)
+    loopTime(time) {
+        if (!this.loopPeriod) return time;
+        const phase = ((time % this.loopPeriod) + this.loopPeriod) % this.loopPeriod;
+        return this.loopPeriod - phase < 1e-9 ? 0 : phase; // Don't let rounding split the loop start in two
     }
     
+    // Seed for the per-frame noise stream: depends only on the seed and the animation
+    // time (to the microsecond; in loop mode its place in the loop), never on how many
+    // frames were drawn before
+    noiseSeed(time) {
+        const ticks = Math.round(this.loopTime(time) * 1e6);
+        return SeededRandom.mix(this.seed, ticks, Math.floor(ticks / 4294967296));
+    }
+    
+    // Rolls every property in Eyeball.TRAIT_SPEC order. Forged properties (options.traits, see
+    // witness-forge.js) are rolled too and then replaced, so the rng stays in step and whatever
+    // isn't forged comes out as it would for the seed.
     generateProperties() {
-        // Eye socket shape and size
-        this.socketShape = this.rng.choice(['circle', 'oval', 'diamond', 'almond', 'star', 'hexagon']);
-        this.socketSize = this.rng.range(80, 140);
-        this.socketColor = this.generateColor('socket');
-        
-        // Sclera (white part) properties
-        this.scleraColor = this.generateColor('sclera');
-        this.scleraTexture = this.rng.choice(['smooth', 'veined', 'cloudy', 'metallic', 'crystalline']);
-        
-        // Iris properties
-        this.irisSize = this.rng.range(40, 80);
-        this.irisShape = this.rng.choice(['circle', 'oval', 'star', 'diamond', 'octagon', 'spiral']);
-        this.irisColor1 = this.generateColor('iris');
-        this.irisColor2 = this.generateColor('iris');
-        this.irisPattern = this.rng.choice(['solid', 'radial', 'spiral', 'geometric', 'fractal', 'crystalline', 'void']);
-        
-        // Pupil properties
-        this.pupilSize = this.rng.range(15, 35);
-        this.pupilShape = this.rng.choice(['circle', 'slit', 'star', 'cross', 'diamond', 'multiple', 'void']);
-        this.pupilColor = this.generateColor('pupil');
-        
-        // Special effects
-        this.hasGlow = this.rng.boolean(0.6);
-        this.hasLaser = this.rng.boolean(0.3);
-        this.hasAura = this.rng.boolean(0.4);
-        this.hasParticles = this.rng.boolean(0.5);
-        this.hasLightning = this.rng.boolean(0.2);
-        
-        // Animation intensity (all eyes animate, but at different energy levels)
-        this.animationEnergy = this.rng.range(0.1, 1.0); // 0.1 = very subtle, 1.0 = high energy
-        
-        // Effect colors
-        this.effectColor = this.generateColor('effect');
-        this.laserColor = this.generateColor('laser');
-        this.auraColor = this.generateColor('aura');
-        
-        // Style variations
-        this.style = this.rng.choice(['organic', 'mechanical', 'cosmic', 'demonic', 'angelic', 'digital', 'crystal']);
-        this.intensity = this.rng.range(0.5, 1.5);
+        const forged = this.options.traits || {};
+        Object.keys(Eyeball.TRAIT_SPEC).forEach(key => {
+            const rolled = this.rollProperty(key);
+            if (key in forged) {
+                this[key] = Array.isArray(forged[key]) ? forged[key].slice() : forged[key];
+            } else {
+                this[key] = rolled;
+            }
+        });
+        
+        // Effect plugins beyond the built-in ones each roll from their own stream, so
+        // registering one leaves every other trait of every seed as it was
+        Object.keys(Eyeball.PLUGINS.effect).forEach(name => {
+            const effect = Eyeball.PLUGINS.effect[name];
+            if (effect.flag in Eyeball.TRAIT_SPEC) return;
+            const rng = new SeededRandom(SeededRandom.mix(this.seed, ...Array.from(name, c => c.charCodeAt(0))));
+            this[effect.flag] = rng.boolean(effect.weight);
+        });
         
         // Generate metadata traits
         this.generateMetadata();
     }
     
+    rollProperty(key) {
+        const spec = Eyeball.TRAIT_SPEC[key];
+        if (spec.range) return this.rng.range(spec.range[0], spec.range[1]);
+        if (spec.effect) return this.rng.boolean(Eyeball.PLUGINS.effect[spec.effect].weight);
+        if (spec.palette) return this.generateColor(spec.palette);
+        return this.rng.weighted(Eyeball.traitOptions(key)).name;
+    }
+    
+    // The values a choice trait can take, in roll order: [{ name, label, weight }] from its
+    // values list or its plugins (null for other traits)
+    static traitOptions(key) {
+        const spec = Eyeball.TRAIT_SPEC[key];
+        if (spec.values) {
+            const names = Eyeball.TRAIT_NAMES[key] || {};
+            return spec.values.map(name => ({ name, label: names[name] || name, weight: 1 }));
+        }
+        if (!spec.plugin) return null;
+        const plugins = Eyeball.PLUGINS[spec.plugin];
+        return Object.keys(plugins).map(name => ({ name, label: plugins[name].label, weight: plugins[name].weight }));
+    }
+    
+    // Adds (or replaces) a plugin; see Eyeball.PLUGINS for what each kind needs
+    static registerPlugin(kind, name, plugin) {
+        const plugins = Eyeball.PLUGINS[kind];
+        if (!plugins) {
+            throw new Error(`Unknown plugin kind "${kind}" (expected ${Object.keys(Eyeball.PLUGINS).join(', ')})`);
+        }
+        const drawn = kind === 'pupilShape' ? ['draw', 'outline'] : ['draw'];
+        if (!plugin || !drawn.some(method => typeof plugin[method] === 'function')) {
+            throw new Error(`The ${kind} plugin "${name}" needs a ${drawn.join(' or ')} function`);
+        }
+        const maxWeight = kind === 'effect' ? 1 : Infinity;
+        if (typeof plugin.weight !== 'number' || !(plugin.weight >= 0 && plugin.weight <= maxWeight)) {
+            throw new Error(`The ${kind} plugin "${name}" needs a weight ${kind === 'effect' ? 'from 0 to 1' : 'of 0 or more'}, not "${plugin.weight}"`);
+        }
+        
+        const defaults = { label: name };
+        if (kind === 'effect') {
+            defaults.flag = `has${name[0].toUpperCase()}${name.slice(1)}`;
+        }
+        plugins[name] = { ...defaults, ...plugin };
+    }
+    
+    // A registered plugin; unknown names throw rather than drawing something else
+    plugin(kind, name) {
+        const plugin = Eyeball.PLUGINS[kind][name];
+        if (!plugin) {
+            throw new Error(`Unknown ${kind} "${name}" (expected ${Object.keys(Eyeball.PLUGINS[kind]).join(', ')})`);
+        }
+        return plugin;
+    }
+    
+    // Build the structured trait model, then derive the display name/value pairs from it.
+    // this.traits keeps raw enums, colors and numeric scores for filtering and exporters;
+    // this.metadata.traits keeps the strings the gallery has always shown.
     generateMetadata() {
-        this.metadata = {
-            traits: []
-        };
+        const names = Eyeball.TRAIT_NAMES;
+        const plugins = Eyeball.PLUGINS;
+        const color = rgb => ({ name: this.getColorName(rgb), rgb: rgb.map(Math.round) });
         
         // Portal Frame (Socket)
-        const portalTypes = {
-            'circle': 'Eternal Circle',
-            'oval': 'Mystic Oval', 
-            'diamond': 'Crystal Diamond',
-            'almond': 'Ancient Almond',
-            'star': 'Stellar Gateway',
-            'hexagon': 'Sacred Hexagon'
-        };
-        const portalRarity = Math.round((this.socketSize - 80) / (140 - 80) * 10) / 10;
-        this.metadata.traits.push({
+        const portalFrame = {
             name: "Portal Frame",
-            value: `${portalTypes[this.socketShape]} (${portalRarity})`
-        });
+            shape: this.socketShape,
+            label: this.plugin('socketShape', this.socketShape).label,
+            size: this.socketSize,
+            color: color(this.socketColor),
+            score: Math.round((this.socketSize - 80) / (140 - 80) * 10) / 10
+        };
         
         // Sclera Essence
-        const scleraNames = {
-            'smooth': 'Pure Essence',
-            'veined': 'Bloodbound Veins',
-            'cloudy': 'Ethereal Mist',
-            'metallic': 'Liquid Metal',
-            'crystalline': 'Crystal Matrix'
-        };
-        const scleraColor = this.getColorName(this.scleraColor);
-        this.metadata.traits.push({
+        const scleraEssence = {
             name: "Sclera Essence",
-            value: `${scleraColor} ${scleraNames[this.scleraTexture]} (${this.rng.range(1, 10).toFixed(1)})`
-        });
+            texture: this.scleraTexture,
+            label: names.scleraTexture[this.scleraTexture],
+            color: color(this.scleraColor),
+            score: Number(this.rng.range(1, 10).toFixed(1))
+        };
         
         // Iris Constellation
-        const irisPatterns = {
-            'solid': 'Void Core',
-            'radial': 'Stellar Burst',
-            'spiral': 'Cosmic Spiral',
-            'geometric': 'Sacred Geometry',
-            'fractal': 'Infinite Fractal',
-            'crystalline': 'Crystal Lattice',
-            'void': 'Abyssal Void'
-        };
-        const irisRarity = Math.round((this.irisSize - 40) / (80 - 40) * 10) / 10;
-        const irisColor = this.getColorName(this.irisColor1);
-        this.metadata.traits.push({
+        const irisConstellation = {
             name: "Iris Constellation",
-            value: `${irisColor} ${irisPatterns[this.irisPattern]} (${irisRarity})`
-        });
+            pattern: this.irisPattern,
+            shape: this.irisShape,
+            label: this.plugin('irisPattern', this.irisPattern).label,
+            size: this.irisSize,
+            color: color(this.irisColor1),
+            secondaryColor: color(this.irisColor2),
+            score: Math.round((this.irisSize - 40) / (80 - 40) * 10) / 10
+        };
         
         // Pupil Gate
-        const pupilTypes = {
-            'circle': 'Eternal Portal',
-            'slit': 'Dragon Slit',
-            'star': 'Celestial Star',
-            'cross': 'Divine Cross',
-            'diamond': 'Soul Diamond',
-            'multiple': 'Trinity Gates',
-            'void': 'Chaos Void'
-        };
-        const pupilRarity = Math.round((this.pupilSize - 15) / (35 - 15) * 10) / 10;
-        const pupilColor = this.getColorName(this.pupilColor);
-        this.metadata.traits.push({
+        const pupilGate = {
             name: "Pupil Gate",
-            value: `${pupilColor} ${pupilTypes[this.pupilShape]} (${pupilRarity})`
-        });
+            shape: this.pupilShape,
+            label: this.plugin('pupilShape', this.pupilShape).label,
+            size: this.pupilSize,
+            color: color(this.pupilColor),
+            score: Math.round((this.pupilSize - 15) / (35 - 15) * 10) / 10
+        };
         
         // Arcane Powers - only report effects that are guaranteed to be visible
-        const powers = [];
-        if (this.hasGlow) powers.push('Ethereal Glow');
-        if (this.hasLaser) powers.push('Laser Beam');
-        if (this.hasAura) powers.push('Energy Aura');
-        if (this.hasParticles) powers.push('Particle Storm');
-        if (this.hasLightning) powers.push('Lightning Strike');
-        
-        if (powers.length > 0) {
-            const powerLevel = powers.length * 2.0 + this.rng.range(0, 2);
-            this.metadata.traits.push({
-                name: "Arcane Powers",
-                value: `${powers.join(' + ')} (${powerLevel.toFixed(1)})`
-            });
-        } else {
-            // If no powers, add a "Pure" trait
-            this.metadata.traits.push({
-                name: "Arcane Powers",
-                value: "Pure Essence (1.0)"
-            });
-        }
+        const effects = Object.keys(plugins.effect).filter(effect => this[plugins.effect[effect].flag]);
+        // The bonus is only rolled for built-in powers, so effect plugins never shift this.rng
+        const bonus = effects.some(effect => plugins.effect[effect].flag in Eyeball.TRAIT_SPEC) ? this.rng.range(0, 2) : 0;
+        const arcanePowers = {
+            name: "Arcane Powers",
+            effects: effects,
+            labels: effects.map(effect => plugins.effect[effect].label),
+            // If no powers, it counts as "Pure Essence"
+            score: effects.length > 0 ? Number((effects.length * 2.0 + bonus).toFixed(1)) : 1.0
+        };
         
         // Essence Type
-        const essenceTypes = {
-            'organic': 'Living Essence',
-            'mechanical': 'Cyber Matrix',
-            'cosmic': 'Stellar Origin',
-            'demonic': 'Infernal Soul',
-            'angelic': 'Divine Light',
-            'digital': 'Data Stream',
-            'crystal': 'Crystal Core'
-        };
-        const intensityValue = (this.intensity * 10).toFixed(1);
-        this.metadata.traits.push({
+        const essenceType = {
             name: "Essence Type",
-            value: `${essenceTypes[this.style]} (${intensityValue})`
-        });
+            style: this.style,
+            label: names.style[this.style],
+            intensity: this.intensity,
+            score: Number((this.intensity * 10).toFixed(1))
+        };
+        
+        this.traits = { portalFrame, scleraEssence, irisConstellation, pupilGate, arcanePowers, essenceType };
+        this.metadata = {
+            traits: Eyeball.describeTraits(this.traits)
+        };
+    }
+    
+    // Display name/value pairs for a structured trait model
+    static describeTraits(traits) {
+        const { portalFrame, scleraEssence, irisConstellation, pupilGate, arcanePowers, essenceType } = traits;
+        const powers = arcanePowers.effects.length > 0
+            ? `${arcanePowers.labels.join(' + ')} (${arcanePowers.score.toFixed(1)})`
+            : "Pure Essence (1.0)";
+        
+        return [
+            { name: portalFrame.name, value: `${portalFrame.label} (${portalFrame.score})` },
+            { name: scleraEssence.name, value: `${scleraEssence.color.name} ${scleraEssence.label} (${scleraEssence.score.toFixed(1)})` },
+            { name: irisConstellation.name, value: `${irisConstellation.color.name} ${irisConstellation.label} (${irisConstellation.score})` },
+            { name: pupilGate.name, value: `${pupilGate.color.name} ${pupilGate.label} (${pupilGate.score})` },
+            { name: arcanePowers.name, value: powers },
+            { name: essenceType.name, value: `${essenceType.label} (${essenceType.score.toFixed(1)})` }
+        ];
     }
     
     getColorName(rgb) {
         const [r, g, b] = rgb;
         
+        // A color rolled from a named palette entry is never more than the jitter away from it
+        const { named, jitter } = this.palette;
+        let closest = null;
+        let closestDistance = Infinity;
+        named.forEach(color => {
+            const offsets = color.rgb.map((value, i) => Math.abs(value - rgb[i]));
+            if (Math.max(...offsets) > jitter + 0.5) return;
+            const distance = offsets.reduce((sum, offset) => sum + offset * offset, 0);
+            if (distance < closestDistance) {
+                closest = color;
+                closestDistance = distance;
+            }
+        });
+        if (closest) return closest.name;
+        
         // Define color ranges and names
         if (r > 200 && g > 200 && b > 200) return "Ivory";
         if (r < 50 && g < 50 && b < 50) return "Obsidian";
@@ -337,98 +617,90 @@ class Eyeball {
         return "Mystic";
     }
     
+    // Base color from the eye's palette set (options.palette), plus up to ±jitter per channel.
+    // Always four rng draws whatever the set, so an edition changes the colors of a seed
+    // and nothing else.
     generateColor(type) {
-        const colorPalettes = {
-            socket: [
-                [20, 20, 30], [40, 0, 60], [60, 20, 0], [0, 30, 50],
-                [80, 80, 80], [30, 30, 30], [10, 50, 30]
-            ],
-            sclera: [
-                [255, 255, 255], [240, 240, 255], [255, 240, 240], [200, 255, 200],
-                [50, 50, 60], [100, 100, 120], [80, 80, 100], [255, 200, 150]
-            ],
-            iris: [
-                [0, 150, 255], [255, 0, 150], [150, 255, 0], [255, 150, 0],
-                [200, 0, 200], [0, 255, 200], [255, 255, 0], [150, 0, 255],
-                [255, 100, 100], [100, 255, 100], [100, 100, 255], [255, 0, 0],
-                [0, 255, 0], [0, 0, 255], [255, 255, 255], [50, 255, 150]
-            ],
-            pupil: [
-                [0, 0, 0], [20, 0, 40], [40, 0, 0], [0, 20, 40],
-                [255, 255, 255], [255, 0, 0], [0, 255, 255], [255, 255, 0]
-            ],
-            effect: [
-                [255, 0, 255], [0, 255, 255], [255, 255, 0], [255, 100, 0],
-                [100, 255, 100], [255, 50, 150], [150, 100, 255], [255, 200, 0]
-            ],
-            laser: [
-                [255, 0, 0], [0, 255, 0], [0, 100, 255], [255, 0, 255],
-                [255, 255, 0], [255, 100, 0], [100, 255, 255]
-            ],
-            aura: [
-                [100, 0, 255], [255, 0, 100], [0, 255, 100], [255, 200, 0],
-                [0, 200, 255], [255, 0, 200], [200, 255, 0]
-            ]
-        };
-        
-        const palette = colorPalettes[type] || colorPalettes.iris;
+        const palette = this.palette.palettes[type] || this.palette.palettes.iris;
         const baseColor = this.rng.choice(palette);
+        const jitter = this.palette.jitter;
         
         // Add some random variation
         const constrain = (val, min, max) => Math.min(max, Math.max(min, val));
         return [
-            constrain(baseColor[0] + this.rng.range(-30, 30), 0, 255),
-            constrain(baseColor[1] + this.rng.range(-30, 30), 0, 255),
-            constrain(baseColor[2] + this.rng.range(-30, 30), 0, 255)
+            constrain(baseColor[0] + this.rng.range(-jitter, jitter), 0, 255),
+            constrain(baseColor[1] + this.rng.range(-jitter, jitter), 0, 255),
+            constrain(baseColor[2] + this.rng.range(-jitter, jitter), 0, 255)
         ];
     }
     
-    draw(ctx) {
-        const p = new CanvasHelper(ctx);
-        
+    // Draws the frame at animation time t, or the next free-running frame when t is
+    // omitted. The output is a pure function of seed and time.
+    draw(ctx, t) {
+        this.drawLayers(() => ctx, t);
+    }
+    
+    // Draws every layer of Eyeball.LAYERS the eye has, back to front, each onto target(layerId).
+    // draw() sends them all to one canvas; separate targets give one image per layer that
+    // composite (normal blending, in order) back into the same frame.
+    drawLayers(target, t) {
         // Update animation (all eyes animate, but at different energy levels)
-        this.time += this.animationSpeed * this.animationEnergy;
-        
-        // Clear background
-        p.background(10, 10, 15);
-        
-        // Draw outer glow effect
-        if (this.hasGlow) {
-            this.drawGlow(p);
-        }
-        
-        // Draw aura
-        if (this.hasAura) {
-            this.drawAura(p);
-        }
-        
-        // Draw eye socket
-        this.drawSocket(p);
-        
-        // Draw sclera
-        this.drawSclera(p);
-        
-        // Draw iris
-        this.drawIris(p);
-        
-        // Draw pupil
-        this.drawPupil(p);
-        
-        // Draw reflections and highlights
-        this.drawHighlights(p);
-        
-        // Draw special effects LAST (front layer) - never covered by anything
-        if (this.hasLaser) {
-            this.drawLaser(p);
-        }
-        
-        if (this.hasParticles) {
-            this.drawParticles(p);
+        if (t === undefined) {
+            this.frame++;
+            this.time = this.frameTime(this.frame);
+        } else {
+            this.time = t;
         }
         
-        if (this.hasLightning) {
-            this.drawLightning(p);
-        }
+        // Per-frame randomness (vein jitter, lightning) gets its own stream so it never
+        // advances this.rng, which belongs to the static traits. Layers draw in order even
+        // when separated, so each one sees the same noise as in the composite.
+        this.noise = new SeededRandom(this.noiseSeed(this.time));
+        
+        const helpers = new Map();
+        const scaled = new Set();
+        this.layers().forEach(layer => {
+            const ctx = target(layer.id);
+            if (!helpers.has(ctx)) helpers.set(ctx, new CanvasHelper(ctx));
+            const p = helpers.get(ctx);
+            
+            // Everything but the background is drawn in reference pixels
+            if (!layer.unscaled && !scaled.has(p)) {
+                p.push();
+                p.scale(this.unit);
+                scaled.add(p);
+            }
+            if (layer.method) {
+                this[layer.method](p);
+            } else {
+                layer.draw.call(this, p);
+            }
+        });
+        scaled.forEach(p => p.pop());
+    }
+    
+    // The layers this eye draws: Eyeball.LAYERS, with each effects slot replaced by one layer
+    // per effect plugin (in registration order) the eye has the power for
+    layers() {
+        const layers = [];
+        Eyeball.LAYERS.forEach(layer => {
+            if (layer.effects) {
+                Object.keys(Eyeball.PLUGINS.effect).forEach(name => {
+                    const effect = Eyeball.PLUGINS.effect[name];
+                    if (Boolean(effect.behind) === (layer.effects === 'behind') && this[effect.flag]) {
+                        layers.push({ id: name, effect: name, draw: effect.draw });
+                    }
+                });
+            } else if (!layer.option || this.options[layer.option]) {
+                layers.push(layer);
+            }
+        });
+        return layers;
+    }
+    
+    // Clear background (transparent eyes leave the canvas untouched)
+    drawBackground(p) {
+        p.background(10, 10, 15);
     }
     
     drawSocket(p) {
@@ -438,12 +710,12 @@ class Eyeball {
         if (this.hasGlow) {
             for (let i = 5; i > 0; i--) {
                 p.fill(this.socketColor[0], this.socketColor[1], this.socketColor[2], 50 - i * 8);
-                this.drawShape(p, this.socketShape, this.socketSize + i * 10);
+                this.drawShape(p, 'socketShape', this.socketShape, this.socketSize + i * 10);
             }
         }
         
         p.fill(this.socketColor[0], this.socketColor[1], this.socketColor[2]);
-        this.drawShape(p, this.socketShape, this.socketSize);
+        this.drawShape(p, 'socketShape', this.socketShape, this.socketSize);
         p.pop();
     }
     
@@ -464,10 +736,10 @@ class Eyeball {
             for (let i = 0; i < scleraSize; i += 2) {
                 const alpha = p.map(i, 0, scleraSize, 255, 100);
                 p.fill(this.scleraColor[0], this.scleraColor[1], this.scleraColor[2], alpha);
-                this.drawShape(p, this.socketShape, scleraSize - i);
+                this.drawShape(p, 'socketShape', this.socketShape, scleraSize - i);
             }
         } else {
-            this.drawShape(p, this.socketShape, scleraSize);
+            this.drawShape(p, 'socketShape', this.socketShape, scleraSize);
         }
         
         p.pop();
@@ -478,14 +750,14 @@ class Eyeball {
         p.translate(this.centerX, this.centerY);
         
         // Animated movement (scaled by energy level)
-        const offsetX = p.sin(this.time) * 5 * this.animationEnergy;
-        const offsetY = p.cos(this.time * 0.7) * 3 * this.animationEnergy;
+        const offsetX = p.sin(this.time * this.freq(1)) * 5 * this.animationEnergy;
+        const offsetY = p.cos(this.time * this.freq(0.7)) * 3 * this.animationEnergy;
         p.translate(offsetX, offsetY);
         
         // Check if laser is firing for iris glow effect
         let laserGlow = 0;
         if (this.hasLaser) {
-            const materializationCycle = this.time * this.animationEnergy * 0.4;
+            const materializationCycle = this.time * this.freq(this.animationEnergy * 0.4);
             const materializationPhase = (p.sin(materializationCycle) + 1) / 2;
             const materializationThreshold = 0.2;
             
@@ -496,23 +768,7 @@ class Eyeball {
         }
         
         // Draw the iris pattern first (always visible)
-        if (this.irisPattern === 'radial') {
-            this.drawRadialPattern(p);
-        } else if (this.irisPattern === 'spiral') {
-            this.drawSpiralPattern(p);
-        } else if (this.irisPattern === 'geometric') {
-            this.drawGeometricPattern(p);
-        } else if (this.irisPattern === 'fractal') {
-            this.drawFractalPattern(p);
-        } else if (this.irisPattern === 'crystalline') {
-            this.drawCrystallinePattern(p);
-        } else if (this.irisPattern === 'void') {
-            this.drawVoidPattern(p);
-        } else {
-            // Solid color
-            p.fill(this.irisColor1[0], this.irisColor1[1], this.irisColor1[2]);
-            this.drawShape(p, this.irisShape, this.irisSize);
-        }
+        this.plugin('irisPattern', this.irisPattern).draw.call(this, p);
         
         // Add laser-colored glow OVER the iris when laser is firing (overlay effect)
         if (laserGlow > 0.1) {
@@ -521,18 +777,18 @@ class Eyeball {
                 const glowAlpha = laserGlow * 30 * (i / 6); // More subtle
                 const glowSize = this.irisSize + i * 6;
                 p.fill(this.laserColor[0], this.laserColor[1], this.laserColor[2], glowAlpha);
-                this.drawShape(p, this.irisShape, glowSize);
+                this.drawShape(p, 'irisShape', this.irisShape, glowSize);
             }
             
             // Inner bright glow (overlay on the iris)
             const innerGlowAlpha = laserGlow * 40; // Much more subtle
             p.fill(255, 255, 255, innerGlowAlpha);
-            this.drawShape(p, this.irisShape, this.irisSize + 2);
+            this.drawShape(p, 'irisShape', this.irisShape, this.irisSize + 2);
             
             // Laser color tint over the iris
             const tintAlpha = laserGlow * 25; // Very subtle tint
             p.fill(this.laserColor[0], this.laserColor[1], this.laserColor[2], tintAlpha);
-            this.drawShape(p, this.irisShape, this.irisSize);
+            this.drawShape(p, 'irisShape', this.irisShape, this.irisSize);
         }
         
         p.pop();
@@ -543,14 +799,14 @@ class Eyeball {
         p.translate(this.centerX, this.centerY);
         
         // Animated movement (scaled by energy level)
-        const offsetX = p.sin(this.time) * 5 * this.animationEnergy;
-        const offsetY = p.cos(this.time * 0.7) * 3 * this.animationEnergy;
+        const offsetX = p.sin(this.time * this.freq(1)) * 5 * this.animationEnergy;
+        const offsetY = p.cos(this.time * this.freq(0.7)) * 3 * this.animationEnergy;
         p.translate(offsetX, offsetY);
         
         // Check if laser is firing for pupil glow effect (same as iris)
         let laserGlow = 0;
         if (this.hasLaser) {
-            const materializationCycle = this.time * this.animationEnergy * 0.4;
+            const materializationCycle = this.time * this.freq(this.animationEnergy * 0.4);
             const materializationPhase = (p.sin(materializationCycle) + 1) / 2;
             const materializationThreshold = 0.2;
             
@@ -560,38 +816,13 @@ class Eyeball {
             }
         }
         
-        if (this.pupilShape === 'multiple') {
-            // Multiple pupils
-            const numPupils = 3;
-            for (let i = 0; i < numPupils; i++) {
-                const angle = (p.TWO_PI / numPupils) * i;
-                const x = p.cos(angle) * (this.pupilSize * 0.3);
-                const y = p.sin(angle) * (this.pupilSize * 0.3);
-                p.push();
-                p.translate(x, y);
-                p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
-                p.ellipse(0, 0, this.pupilSize * 0.5, this.pupilSize * 0.5);
-                p.pop();
-            }
-        } else if (this.pupilShape === 'slit') {
-            p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
-            p.ellipse(0, 0, this.pupilSize * 0.3, this.pupilSize);
-        } else if (this.pupilShape === 'cross') {
-            p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
-            p.rectMode(p.CENTER);
-            p.rect(0, 0, this.pupilSize * 0.3, this.pupilSize);
-            p.rect(0, 0, this.pupilSize, this.pupilSize * 0.3);
-        } else if (this.pupilShape === 'void') {
-            // Void effect - dark center with swirling edges
-            for (let i = 10; i > 0; i--) {
-                const alpha = p.map(i, 0, 10, 255, 0);
-                p.fill(0, 0, 0, alpha);
-                const size = p.map(i, 0, 10, this.pupilSize, 0);
-                p.ellipse(0, 0, size, size);
-            }
+        const pupil = this.plugin('pupilShape', this.pupilShape);
+        const outline = size => pupil.outline ? pupil.outline.call(this, p, size) : p.ellipse(0, 0, size, size);
+        if (pupil.draw) {
+            pupil.draw.call(this, p);
         } else {
             p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
-            this.drawShape(p, this.pupilShape, this.pupilSize);
+            outline(this.pupilSize);
         }
         
         // Add subtle laser glow to pupil when laser is firing
@@ -601,45 +832,29 @@ class Eyeball {
                 const glowAlpha = laserGlow * 20 * (i / 3); // Very subtle
                 const glowSize = this.pupilSize + i * 3;
                 p.fill(this.laserColor[0], this.laserColor[1], this.laserColor[2], glowAlpha);
-                this.drawShape(p, this.pupilShape, glowSize);
+                outline(glowSize);
             }
             
             // Tiny inner glow
             const innerGlowAlpha = laserGlow * 30;
             p.fill(255, 255, 255, innerGlowAlpha);
-            this.drawShape(p, this.pupilShape, this.pupilSize + 1);
+            outline(this.pupilSize + 1);
         }
         
         p.pop();
     }
     
-    drawShape(p, shape, size) {
-        switch (shape) {
-            case 'circle':
-                p.ellipse(0, 0, size, size);
-                break;
-            case 'oval':
-                p.ellipse(0, 0, size * 1.3, size * 0.8);
-                break;
-            case 'diamond':
-                p.push();
-                p.rotate(p.PI / 4);
-                p.rectMode(p.CENTER);
-                p.rect(0, 0, size * 0.7, size * 0.7);
-                p.pop();
-                break;
-            case 'star':
-                this.drawStar(p, 0, 0, size / 2, size / 4, 6);
-                break;
-            case 'hexagon':
-                this.drawPolygon(p, 0, 0, size / 2, 6);
-                break;
-            case 'almond':
-                p.ellipse(0, 0, size * 1.5, size * 0.6);
-                break;
-            default:
-                p.ellipse(0, 0, size, size);
-        }
+    // Outline of a shape plugin (socketShape or irisShape), centered on the origin
+    drawShape(p, kind, shape, size) {
+        this.plugin(kind, shape).draw.call(this, p, size);
+    }
+    
+    drawDiamond(p, size) {
+        p.push();
+        p.rotate(p.PI / 4);
+        p.rectMode(p.CENTER);
+        p.rect(0, 0, size * 0.7, size * 0.7);
+        p.pop();
     }
     
     drawStar(p, x, y, radius1, radius2, npoints) {
@@ -703,8 +918,8 @@ class Eyeball {
             p.noFill();
             for (let angle = 0; angle < p.TWO_PI * 3; angle += 0.1) {
                 const radius = p.map(angle, 0, p.TWO_PI * 3, 0, this.irisSize / 2);
-                const x = p.cos(angle + this.time * this.animationEnergy + i) * radius;
-                const y = p.sin(angle + this.time * this.animationEnergy + i) * radius;
+                const x = p.cos(angle + this.time * this.freq(this.animationEnergy) + i) * radius;
+                const y = p.sin(angle + this.time * this.freq(this.animationEnergy) + i) * radius;
                 p.vertex(x, y);
             }
             p.endShape();
@@ -719,7 +934,7 @@ class Eyeball {
             const numShapes = 6 + ring * 2;
             
             for (let i = 0; i < numShapes; i++) {
-                const angle = (p.TWO_PI / numShapes) * i + this.time * this.animationEnergy * (ring + 1);
+                const angle = (p.TWO_PI / numShapes) * i + this.time * this.freq(this.animationEnergy * (ring + 1));
                 const x = p.cos(angle) * radius;
                 const y = p.sin(angle) * radius;
                 
@@ -804,11 +1019,11 @@ class Eyeball {
         p.strokeWeight(1);
         
         for (let i = 0; i < 8; i++) {
-            const angle = this.rng.range(0, p.TWO_PI);
-            const length = this.rng.range(20, 40);
+            const angle = this.noise.range(0, p.TWO_PI);
+            const length = this.noise.range(20, 40);
             p.push();
             p.rotate(angle);
-            p.line(0, 0, length, this.rng.range(-5, 5));
+            p.line(0, 0, length, this.noise.range(-5, 5));
             p.pop();
         }
         p.noStroke();
@@ -843,8 +1058,8 @@ class Eyeball {
         
         const numRays = 20;
         for (let i = 0; i < numRays; i++) {
-            const angle = (p.TWO_PI / numRays) * i + this.time * 2 * this.animationEnergy;
-            const length = 70 + p.sin(this.time * 3 * this.animationEnergy + i) * 40 * this.animationEnergy;
+            const angle = (p.TWO_PI / numRays) * i + this.time * this.freq(2 * this.animationEnergy);
+            const length = 70 + p.sin(this.time * this.freq(3 * this.animationEnergy) + i) * 40 * this.animationEnergy;
             
             const x1 = p.cos(angle) * (this.socketSize / 2);
             const y1 = p.sin(angle) * (this.socketSize / 2);
@@ -881,12 +1096,12 @@ class Eyeball {
         p.translate(this.centerX, this.centerY);
         
         // Animated laser movement (scaled by energy level)
-        const offsetX = p.sin(this.time) * 5 * this.animationEnergy;
-        const offsetY = p.cos(this.time * 0.7) * 3 * this.animationEnergy;
+        const offsetX = p.sin(this.time * this.freq(1)) * 5 * this.animationEnergy;
+        const offsetY = p.cos(this.time * this.freq(0.7)) * 3 * this.animationEnergy;
         p.translate(offsetX, offsetY);
         
         // Materialization cycle - laser appears and disappears dramatically
-        const materializationCycle = this.time * this.animationEnergy * 0.4;
+        const materializationCycle = this.time * this.freq(this.animationEnergy * 0.4);
         const materializationPhase = (p.sin(materializationCycle) + 1) / 2; // 0 to 1
         
         // Only show laser when materialization is above threshold
@@ -901,7 +1116,7 @@ class Eyeball {
         const fadeIn = p.sin(matIntensity * p.PI); // Smooth fade curve
         
         // Bottom triangle quadrant sweep (45 to 135 degrees, pointing downward)
-        const sweepCycle = this.time * this.animationEnergy * 0.6;
+        const sweepCycle = this.time * this.freq(this.animationEnergy * 0.6);
         const sweepStart = p.PI * 0.25; // 45 degrees (bottom-right)
         const sweepEnd = p.PI * 0.75;   // 135 degrees (bottom-left)
         const sweepRange = sweepEnd - sweepStart;
@@ -912,11 +1127,15 @@ class Eyeball {
         
         // Dramatic pulsing effects
         const pulseSpeed = this.animationEnergy * 12;
-        const pulseIntensity = 0.5 + 0.5 * p.sin(this.time * pulseSpeed);
-        const chargeUpEffect = 0.3 + 0.7 * p.sin(this.time * pulseSpeed * 1.5);
+        const pulseIntensity = 0.5 + 0.5 * p.sin(this.time * this.freq(pulseSpeed));
+        const chargeUpEffect = 0.3 + 0.7 * p.sin(this.time * this.freq(pulseSpeed * 1.5));
         
-        // Longer laser for more drama
-        const laserLength = 400 * fadeIn;
+        // Laser either runs a fixed length or reaches the bottom of the canvas (desert floor)
+        const laser = this.options.laser;
+        const maxLaserLength = laser.target === 'floor'
+            ? this.h - this.centerY + laser.overshoot // Overshoot ensures it reaches
+            : laser.length;
+        const laserLength = maxLaserLength * fadeIn;
         
         // Create dual laser beams to simulate single thick beam
         const numBeams = 2; // Just 2 beams for cohesive look
@@ -926,7 +1145,7 @@ class Eyeball {
             const waveOffset = beam * 0.25;
             
             // Create wavy path for each beam
-            const segments = 10; // More segments for smoother curves
+            const segments = laser.segments;
             const points = [];
             
             for (let i = 0; i <= segments; i++) {
@@ -938,16 +1157,16 @@ class Eyeball {
                 let y = p.sin(laserAngle) * distance;
                 
                 // Reduced wave distortion - much less bendy
-                const waveFreq = 8 + beam; 
-                const baseWaveAmp = 3 * this.animationEnergy * beamIntensity; // Much smaller amplitude
-                const timeOffset = this.time * 2 + waveOffset; // Slower wave motion
+                const waveFreq = laser.waveFrequency + beam;
+                const baseWaveAmp = laser.waveAmplitude * this.animationEnergy * beamIntensity;
+                const timeOffset = this.time * this.freq(laser.waveSpeed) + waveOffset;
                 
-                // Subtle wave that stays small throughout beam length
-                const waveAmp = baseWaveAmp * (0.3 + 0.7 * progress) * fadeIn; // Slight increase with distance
+                // Subtle wave that stays small throughout beam length, growing slightly with distance
+                const waveAmp = baseWaveAmp * (laser.waveBase + (1 - laser.waveBase) * progress) * fadeIn;
                 
                 // Perpendicular wave motion - much more subtle
                 const perpAngle = laserAngle + p.PI / 2;
-                const shimmer = 1 + 0.1 * p.sin(this.time * 4 + progress * 3); // Less shimmer
+                const shimmer = 1 + 0.1 * p.sin(this.time * this.freq(4) + progress * 3); // Less shimmer
                 const waveX = p.cos(perpAngle) * p.sin(progress * waveFreq + timeOffset) * waveAmp * shimmer;
                 const waveY = p.sin(perpAngle) * p.sin(progress * waveFreq + timeOffset) * waveAmp * shimmer;
                 
@@ -995,8 +1214,8 @@ class Eyeball {
         if (fadeIn > 0.5) {
             const numSourceParticles = 8;
             for (let i = 0; i < numSourceParticles; i++) {
-                const angle = (i / numSourceParticles) * p.TWO_PI + this.time * 3;
-                const radius = 15 + 10 * p.sin(this.time * 6 + i);
+                const angle = (i / numSourceParticles) * p.TWO_PI + this.time * this.freq(3);
+                const radius = 15 + 10 * p.sin(this.time * this.freq(6) + i);
                 const particleX = p.cos(angle) * radius * fadeIn;
                 const particleY = p.sin(angle) * radius * fadeIn;
                 
@@ -1011,7 +1230,7 @@ class Eyeball {
         if (chargeUpEffect > 0.5 && fadeIn > 0.3) {
             const numParticles = 8;
             for (let i = 0; i < numParticles; i++) {
-                const progress = (i / numParticles) + (this.time * 0.7) % 1;
+                const progress = (i / numParticles) + (this.time * this.freq(0.7 * p.TWO_PI) / p.TWO_PI) % 1;
                 const distance = progress * laserLength;
                 
                 // Follow the same slight spread pattern as the beams
@@ -1023,8 +1242,8 @@ class Eyeball {
                 // Much more subtle wave motion for particles
                 const perpAngle = laserAngle + p.PI / 2;
                 const particleWaveAmp = 2 * progress * fadeIn; // Much smaller wave
-                const waveX = p.cos(perpAngle) * p.sin(progress * 8 + this.time * 3) * particleWaveAmp;
-                const waveY = p.sin(perpAngle) * p.sin(progress * 8 + this.time * 3) * particleWaveAmp;
+                const waveX = p.cos(perpAngle) * p.sin(progress * 8 + this.time * this.freq(3)) * particleWaveAmp;
+                const waveY = p.sin(perpAngle) * p.sin(progress * 8 + this.time * this.freq(3)) * particleWaveAmp;
                 
                 x += waveX;
                 y += waveY;
@@ -1053,12 +1272,12 @@ class Eyeball {
         
         const numParticles = 25;
         for (let i = 0; i < numParticles; i++) {
-            const angle = (p.TWO_PI / numParticles) * i + this.time * 1.5 * this.animationEnergy;
-            const radius = this.socketSize / 2 + p.sin(this.time * 2 * this.animationEnergy + i) * 40 * this.animationEnergy;
+            const angle = (p.TWO_PI / numParticles) * i + this.time * this.freq(1.5 * this.animationEnergy);
+            const radius = this.socketSize / 2 + p.sin(this.time * this.freq(2 * this.animationEnergy) + i) * 40 * this.animationEnergy;
             const x = p.cos(angle) * radius;
             const y = p.sin(angle) * radius;
             
-            const size = 5 + p.sin(this.time * 4 * this.animationEnergy + i) * 4 * this.animationEnergy;
+            const size = 5 + p.sin(this.time * this.freq(4 * this.animationEnergy) + i) * 4 * this.animationEnergy;
             
             // Outer glow (largest, opaque)
             p.fill(this.effectColor[0], this.effectColor[1], this.effectColor[2], 255);
@@ -1093,10 +1312,10 @@ class Eyeball {
         p.translate(this.centerX, this.centerY);
         
         // Lightning bolts - always draw at least 3 visible bolts
-        const numBolts = 3 + Math.floor(this.rng.range(0, 2));
+        const numBolts = 3 + Math.floor(this.noise.range(0, 2));
         
         for (let i = 0; i < numBolts; i++) {
-            const startAngle = (p.TWO_PI / numBolts) * i + this.rng.range(-0.3, 0.3);
+            const startAngle = (p.TWO_PI / numBolts) * i + this.noise.range(-0.3, 0.3);
             const startRadius = this.irisSize / 2;
             const endRadius = this.socketSize / 2 + 20; // Extend beyond socket
             
@@ -1114,10 +1333,10 @@ class Eyeball {
             for (let step = 0; step < 6; step++) {
                 const progress = step / 6;
                 const targetRadius = p.lerp(startRadius, endRadius, progress);
-                const targetAngle = startAngle + this.rng.range(-0.4, 0.4);
+                const targetAngle = startAngle + this.noise.range(-0.4, 0.4);
                 
-                x = p.cos(targetAngle) * targetRadius + this.rng.range(-8, 8);
-                y = p.sin(targetAngle) * targetRadius + this.rng.range(-8, 8);
+                x = p.cos(targetAngle) * targetRadius + this.noise.range(-8, 8);
+                y = p.sin(targetAngle) * targetRadius + this.noise.range(-8, 8);
                 p.vertex(x, y);
             }
             p.endShape();
@@ -1135,10 +1354,10 @@ class Eyeball {
             for (let step = 0; step < 6; step++) {
                 const progress = step / 6;
                 const targetRadius = p.lerp(startRadius, endRadius, progress);
-                const targetAngle = startAngle + this.rng.range(-0.4, 0.4);
+                const targetAngle = startAngle + this.noise.range(-0.4, 0.4);
                 
-                x = p.cos(targetAngle) * targetRadius + this.rng.range(-8, 8);
-                y = p.sin(targetAngle) * targetRadius + this.rng.range(-8, 8);
+                x = p.cos(targetAngle) * targetRadius + this.noise.range(-8, 8);
+                y = p.sin(targetAngle) * targetRadius + this.noise.range(-8, 8);
                 p.vertex(x, y);
             }
             p.endShape();
@@ -1156,10 +1375,10 @@ class Eyeball {
             for (let step = 0; step < 6; step++) {
                 const progress = step / 6;
                 const targetRadius = p.lerp(startRadius, endRadius, progress);
-                const targetAngle = startAngle + this.rng.range(-0.4, 0.4);
+                const targetAngle = startAngle + this.noise.range(-0.4, 0.4);
                 
-                x = p.cos(targetAngle) * targetRadius + this.rng.range(-8, 8);
-                y = p.sin(targetAngle) * targetRadius + this.rng.range(-8, 8);
+                x = p.cos(targetAngle) * targetRadius + this.noise.range(-8, 8);
+                y = p.sin(targetAngle) * targetRadius + this.noise.range(-8, 8);
                 p.vertex(x, y);
             }
             p.endShape();
@@ -1174,8 +1393,8 @@ class Eyeball {
         p.translate(this.centerX, this.centerY);
         
         // Animated movement (scaled by energy level)
-        const offsetX = p.sin(this.time) * 5 * this.animationEnergy;
-        const offsetY = p.cos(this.time * 0.7) * 3 * this.animationEnergy;
+        const offsetX = p.sin(this.time * this.freq(1)) * 5 * this.animationEnergy;
+        const offsetY = p.cos(this.time * this.freq(0.7)) * 3 * this.animationEnergy;
         p.translate(offsetX, offsetY);
         
         // Main highlight
@@ -1190,283 +1409,306 @@ class Eyeball {
     }
 }
 
-// Global variables
-let eyeballs = [];
-let canvasContainer;
-let animationLoops = [];
+// Base colors generateColor picks from (before the random variation)
+Eyeball.COLOR_PALETTES = {
+    socket: [
+        [20, 20, 30], [40, 0, 60], [60, 20, 0], [0, 30, 50],
+        [80, 80, 80], [30, 30, 30], [10, 50, 30]
+    ],
+    sclera: [
+        [255, 255, 255], [240, 240, 255], [255, 240, 240], [200, 255, 200],
+        [50, 50, 60], [100, 100, 120], [80, 80, 100], [255, 200, 150]
+    ],
+    iris: [
+        [0, 150, 255], [255, 0, 150], [150, 255, 0], [255, 150, 0],
+        [200, 0, 200], [0, 255, 200], [255, 255, 0], [150, 0, 255],
+        [255, 100, 100], [100, 255, 100], [100, 100, 255], [255, 0, 0],
+        [0, 255, 0], [0, 0, 255], [255, 255, 255], [50, 255, 150]
+    ],
+    pupil: [
+        [0, 0, 0], [20, 0, 40], [40, 0, 0], [0, 20, 40],
+        [255, 255, 255], [255, 0, 0], [0, 255, 255], [255, 255, 0]
+    ],
+    effect: [
+        [255, 0, 255], [0, 255, 255], [255, 255, 0], [255, 100, 0],
+        [100, 255, 100], [255, 50, 150], [150, 100, 255], [255, 200, 0]
+    ],
+    laser: [
+        [255, 0, 0], [0, 255, 0], [0, 100, 255], [255, 0, 255],
+        [255, 255, 0], [255, 100, 0], [100, 255, 255]
+    ],
+    aura: [
+        [100, 0, 255], [255, 0, 100], [0, 255, 100], [255, 200, 0],
+        [0, 200, 255], [255, 0, 200], [200, 255, 0]
+    ]
+};
 
-// Initialize the application
-function init() {
-    canvasContainer = document.getElementById('canvas-container');
-    generateNewCollection();
-}
-
-// Generate a new collection of eyeballs
-function generateNewCollection() {
-    clearCollection();
-    
-    const numEyeballs = 12; // Generate 12 unique eyeballs
-    
-    for (let i = 0; i < numEyeballs; i++) {
-        generateSingleEye();
+// Display names for the values of choice traits that aren't plugins (see Eyeball.PLUGINS)
+Eyeball.TRAIT_NAMES = {
+    scleraTexture: {
+        'smooth': 'Pure Essence',
+        'veined': 'Bloodbound Veins',
+        'cloudy': 'Ethereal Mist',
+        'metallic': 'Liquid Metal',
+        'crystalline': 'Crystal Matrix'
+    },
+    style: {
+        'organic': 'Living Essence',
+        'mechanical': 'Cyber Matrix',
+        'cosmic': 'Stellar Origin',
+        'demonic': 'Infernal Soul',
+        'angelic': 'Divine Light',
+        'digital': 'Data Stream',
+        'crystal': 'Crystal Core'
     }
-}
+};
 
-// Generate an eyeball with a specific seed
-function generateEyeballWithSeed(seed) {
-    const eyeball = new Eyeball(seed, 300, 300);
-    
-    // Create container for eyeball and metadata
-    const eyeballContainer = document.createElement('div');
-    eyeballContainer.className = 'eyeball-container';
-    eyeballContainer.style.cssText = `
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        margin: 15px;
-        padding: 15px;
-        background: linear-gradient(145deg, #1a1a2e, #16213e);
-        border-radius: 15px;
-        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
-        border: 1px solid rgba(255, 255, 255, 0.1);
-        transition: transform 0.3s ease;
-        max-width: 350px;
-    `;
-    
-    eyeballContainer.addEventListener('mouseenter', () => {
-        eyeballContainer.style.transform = 'scale(1.02)';
-    });
-    
-    eyeballContainer.addEventListener('mouseleave', () => {
-        eyeballContainer.style.transform = 'scale(1)';
-    });
-    
-    canvasContainer.appendChild(eyeballContainer);
-    
-    // Create canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = 300;
-    canvas.height = 300;
-    canvas.className = 'eyeball-canvas';
-    canvas.style.borderRadius = '15px';
-    
-    const canvasDiv = document.createElement('div');
-    canvasDiv.style.position = 'relative';
-    canvasDiv.appendChild(canvas);
-    eyeballContainer.appendChild(canvasDiv);
-    
-    // Add seed info
-    const seedInfo = document.createElement('div');
-    seedInfo.textContent = `#${seed}`;
-    seedInfo.style.cssText = `
-        position: absolute;
-        top: 8px;
-        right: 8px;
-        background: linear-gradient(45deg, #ff006e, #8338ec);
-        color: white;
-        padding: 4px 8px;
-        font-size: 12px;
-        font-weight: bold;
-        border-radius: 12px;
-        box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-    `;
-    canvasDiv.appendChild(seedInfo);
-    
-    // Get canvas context
-    const ctx = canvas.getContext('2d');
-    
-    // Animation loop
-    function animate() {
-        eyeball.draw(ctx);
-        requestAnimationFrame(animate);
-    }
-    
-    // Start animation
-    const animationId = requestAnimationFrame(animate);
-    animationLoops.push(animationId);
-    
-    // Create metadata display
-    const metadataDiv = document.createElement('div');
-    metadataDiv.className = 'metadata-display';
-    metadataDiv.style.cssText = `
-        width: 100%;
-        margin-top: 10px;
-        background: linear-gradient(135deg, #0f0f23, #1a1a2e);
-        border-radius: 8px;
-        border: 1px solid rgba(255, 255, 255, 0.1);
-        overflow: hidden;
-        transition: all 0.3s ease;
-    `;
-    
-    // Create header (always visible)
-    const header = document.createElement('div');
-    header.style.cssText = `
-        padding: 10px 15px;
-        cursor: pointer;
-        user-select: none;
-        background: rgba(255, 255, 255, 0.05);
-        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-    `;
-    
-    const title = document.createElement('h3');
-    title.textContent = `Witness #${seed}`;
-    title.style.cssText = `
-        margin: 0;
-        color: #fff;
-        font-size: 14px;
-        text-shadow: 0 0 10px rgba(255, 255, 255, 0.3);
-    `;
-    
-    const toggleIcon = document.createElement('span');
-    toggleIcon.textContent = '▼';
-    toggleIcon.style.cssText = `
-        color: #8338ec;
-        font-size: 12px;
-        transition: transform 0.3s ease;
-        transform: rotate(-90deg);
-    `;
-    
-    header.appendChild(title);
-    header.appendChild(toggleIcon);
-    metadataDiv.appendChild(header);
-    
-    // Create content container (collapsible)
-    const contentDiv = document.createElement('div');
-    contentDiv.style.cssText = `
-        max-height: 0;
-        overflow: hidden;
-        transition: max-height 0.3s ease;
-        padding: 0 15px;
-    `;
-    
-    // Add traits to content
-    const traitsContainer = document.createElement('div');
-    traitsContainer.style.cssText = `
-        padding: 10px 0;
-    `;
-    
-    eyeball.metadata.traits.forEach(trait => {
-        const traitDiv = document.createElement('div');
-        traitDiv.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin: 4px 0;
-            padding: 4px 8px;
-            background: rgba(255, 255, 255, 0.03);
-            border-radius: 4px;
-            border-left: 2px solid #8338ec;
-        `;
-        
-        const traitName = document.createElement('span');
-        traitName.textContent = trait.name;
-        traitName.style.cssText = `
-            color: #aaa;
-            font-size: 11px;
-            font-weight: 500;
-        `;
-        
-        const traitValue = document.createElement('span');
-        traitValue.textContent = trait.value;
-        traitValue.style.cssText = `
-            color: #fff;
-            font-size: 11px;
-            font-weight: bold;
-            text-shadow: 0 0 5px rgba(255, 255, 255, 0.2);
-        `;
-        
-        traitDiv.appendChild(traitName);
-        traitDiv.appendChild(traitValue);
-        traitsContainer.appendChild(traitDiv);
-    });
-    
-    contentDiv.appendChild(traitsContainer);
-    metadataDiv.appendChild(contentDiv);
-    
-    // Add click handler for toggle
-    let isExpanded = false;
-    header.addEventListener('click', () => {
-        isExpanded = !isExpanded;
-        if (isExpanded) {
-            contentDiv.style.maxHeight = contentDiv.scrollHeight + 'px';
-            toggleIcon.style.transform = 'rotate(0deg)';
-        } else {
-            contentDiv.style.maxHeight = '0';
-            toggleIcon.style.transform = 'rotate(-90deg)';
+// Everything the engine draws for a choice trait or effect is a plugin, by the trait it is
+// rolled for. Each has a draw function (run with the eye as this), a display label and a
+// weight: rolls pick in proportion to weight, in registration order, and weight 0 means
+// never rolled but still available to forged eyes. Add more with Eyeball.registerPlugin.
+// Registering or reweighting a rolled plugin changes what existing seeds roll for that trait,
+// so variants for an existing collection should come in at weight 0; new effects are the
+// exception, each rolling from its own stream.
+//   socketShape, irisShape   draw(p, size): the outline, centered on the origin
+//   irisPattern              draw(p)
+//   pupilShape               outline(p, size), filled in pupilColor at pupilSize unless there's
+//                            a draw(p). The laser glow follows the outline (default a circle).
+//   effect                   draw(p) as its own layer. weight is the chance an eye has it,
+//                            flag the property saying so (default has<Name>), behind: true
+//                            draws it under the eye instead of over it
+Eyeball.PLUGINS = {
+    socketShape: {
+        circle: { label: 'Eternal Circle', weight: 1, draw(p, size) { p.ellipse(0, 0, size, size); } },
+        oval: { label: 'Mystic Oval', weight: 1, draw(p, size) { p.ellipse(0, 0, size * 1.3, size * 0.8); } },
+        diamond: { label: 'Crystal Diamond', weight: 1, draw(p, size) { this.drawDiamond(p, size); } },
+        almond: { label: 'Ancient Almond', weight: 1, draw(p, size) { p.ellipse(0, 0, size * 1.5, size * 0.6); } },
+        star: { label: 'Stellar Gateway', weight: 1, draw(p, size) { this.drawStar(p, 0, 0, size / 2, size / 4, 6); } },
+        hexagon: { label: 'Sacred Hexagon', weight: 1, draw(p, size) { this.drawPolygon(p, 0, 0, size / 2, 6); } }
+    },
+    
+    irisShape: {
+        circle: { label: 'Circle', weight: 1, draw(p, size) { p.ellipse(0, 0, size, size); } },
+        oval: { label: 'Oval', weight: 1, draw(p, size) { p.ellipse(0, 0, size * 1.3, size * 0.8); } },
+        star: { label: 'Star', weight: 1, draw(p, size) { this.drawStar(p, 0, 0, size / 2, size / 4, 6); } },
+        diamond: { label: 'Diamond', weight: 1, draw(p, size) { this.drawDiamond(p, size); } },
+        // octagon and spiral have always been drawn as circles, and stay that way so no minted eye
+        // changes; their labels say so. The real shapes are octagonal and spiraled, for forged eyes.
+        octagon: { label: 'Circle (octagon)', weight: 1, draw(p, size) { p.ellipse(0, 0, size, size); } },
+        spiral: { label: 'Circle (spiral)', weight: 1, draw(p, size) { p.ellipse(0, 0, size, size); } },
+        octagonal: { label: 'Octagon', weight: 0, draw(p, size) { this.drawPolygon(p, 0, 0, size / 2, 8); } },
+        spiraled: {
+            label: 'Spiral',
+            weight: 0,
+            // One turn with the radius growing from 70% to full, closed by the step back in
+            draw(p, size) {
+                const steps = 48;
+                p.beginShape();
+                for (let i = 0; i <= steps; i++) {
+                    const angle = i / steps * p.TWO_PI;
+                    const radius = size / 2 * (0.7 + 0.3 * i / steps);
+                    p.vertex(p.cos(angle) * radius, p.sin(angle) * radius);
+                }
+                p.endShape(true);
+            }
         }
-    });
-    
-    eyeballContainer.appendChild(metadataDiv);
-    
-    eyeballs.push(eyeball);
-    return seed;
-}
+    },
+    
+    irisPattern: {
+        solid: {
+            label: 'Void Core',
+            weight: 1,
+            draw(p) {
+                p.fill(this.irisColor1[0], this.irisColor1[1], this.irisColor1[2]);
+                this.drawShape(p, 'irisShape', this.irisShape, this.irisSize);
+            }
+        },
+        radial: { label: 'Stellar Burst', weight: 1, draw(p) { this.drawRadialPattern(p); } },
+        spiral: { label: 'Cosmic Spiral', weight: 1, draw(p) { this.drawSpiralPattern(p); } },
+        geometric: { label: 'Sacred Geometry', weight: 1, draw(p) { this.drawGeometricPattern(p); } },
+        fractal: { label: 'Infinite Fractal', weight: 1, draw(p) { this.drawFractalPattern(p); } },
+        crystalline: { label: 'Crystal Lattice', weight: 1, draw(p) { this.drawCrystallinePattern(p); } },
+        void: { label: 'Abyssal Void', weight: 1, draw(p) { this.drawVoidPattern(p); } }
+    },
+    
+    pupilShape: {
+        circle: { label: 'Eternal Portal', weight: 1, outline(p, size) { p.ellipse(0, 0, size, size); } },
+        slit: {
+            label: 'Dragon Slit',
+            weight: 1,
+            draw(p) {
+                p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
+                p.ellipse(0, 0, this.pupilSize * 0.3, this.pupilSize);
+            }
+        },
+        star: { label: 'Celestial Star', weight: 1, outline(p, size) { this.drawStar(p, 0, 0, size / 2, size / 4, 6); } },
+        cross: {
+            label: 'Divine Cross',
+            weight: 1,
+            draw(p) {
+                p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
+                p.rectMode(p.CENTER);
+                p.rect(0, 0, this.pupilSize * 0.3, this.pupilSize);
+                p.rect(0, 0, this.pupilSize, this.pupilSize * 0.3);
+            }
+        },
+        diamond: { label: 'Soul Diamond', weight: 1, outline(p, size) { this.drawDiamond(p, size); } },
+        multiple: {
+            label: 'Trinity Gates',
+            weight: 1,
+            draw(p) {
+                const numPupils = 3;
+                for (let i = 0; i < numPupils; i++) {
+                    const angle = (p.TWO_PI / numPupils) * i;
+                    const x = p.cos(angle) * (this.pupilSize * 0.3);
+                    const y = p.sin(angle) * (this.pupilSize * 0.3);
+                    p.push();
+                    p.translate(x, y);
+                    p.fill(this.pupilColor[0], this.pupilColor[1], this.pupilColor[2]);
+                    p.ellipse(0, 0, this.pupilSize * 0.5, this.pupilSize * 0.5);
+                    p.pop();
+                }
+            }
+        },
+        void: {
+            label: 'Chaos Void',
+            weight: 1,
+            // Dark center with swirling edges
+            draw(p) {
+                for (let i = 10; i > 0; i--) {
+                    const alpha = p.map(i, 0, 10, 255, 0);
+                    p.fill(0, 0, 0, alpha);
+                    const size = p.map(i, 0, 10, this.pupilSize, 0);
+                    p.ellipse(0, 0, size, size);
+                }
+            }
+        }
+    },
+    
+    // In display order. The built-in five roll with the other traits (Eyeball.TRAIT_SPEC).
+    effect: {
+        glow: { label: 'Ethereal Glow', weight: 0.6, flag: 'hasGlow', behind: true, draw(p) { this.drawGlow(p); } },
+        laser: { label: 'Laser Beam', weight: 0.3, flag: 'hasLaser', draw(p) { this.drawLaser(p); } },
+        aura: { label: 'Energy Aura', weight: 0.4, flag: 'hasAura', behind: true, draw(p) { this.drawAura(p); } },
+        particles: { label: 'Particle Storm', weight: 0.5, flag: 'hasParticles', draw(p) { this.drawParticles(p); } },
+        lightning: { label: 'Lightning Strike', weight: 0.2, flag: 'hasLightning', draw(p) { this.drawLightning(p); } }
+    }
+};
 
-// Generate a single eyeball
-function generateSingleEye() {
-    const seed = Math.floor(Math.random() * 1000000); // Generate random seed
-    return generateEyeballWithSeed(seed);
-}
+// Rolled properties of an eye, in the order the rng draws them: a choice from values or from
+// the trait's plugins, a number in range, an effect (true with the plugin's weight as chance),
+// or a color from a palette. Forged eyes (options.traits) can set any of them.
+Eyeball.TRAIT_SPEC = {
+    // Eye socket shape and size
+    socketShape: { plugin: 'socketShape' },
+    socketSize: { range: [80, 140] },
+    socketColor: { palette: 'socket' },
+    
+    // Sclera (white part) properties
+    scleraColor: { palette: 'sclera' },
+    scleraTexture: { values: ['smooth', 'veined', 'cloudy', 'metallic', 'crystalline'] },
+    
+    // Iris properties
+    irisSize: { range: [40, 80] },
+    irisShape: { plugin: 'irisShape' },
+    irisColor1: { palette: 'iris' },
+    irisColor2: { palette: 'iris' },
+    irisPattern: { plugin: 'irisPattern' },
+    
+    // Pupil properties
+    pupilSize: { range: [15, 35] },
+    pupilShape: { plugin: 'pupilShape' },
+    pupilColor: { palette: 'pupil' },
+    
+    // Special effects
+    hasGlow: { effect: 'glow' },
+    hasLaser: { effect: 'laser' },
+    hasAura: { effect: 'aura' },
+    hasParticles: { effect: 'particles' },
+    hasLightning: { effect: 'lightning' },
+    
+    // Animation intensity (all eyes animate, but at different energy levels)
+    animationEnergy: { range: [0.1, 1.0] }, // 0.1 = very subtle, 1.0 = high energy
+    
+    // Effect colors
+    effectColor: { palette: 'effect' },
+    laserColor: { palette: 'laser' },
+    auraColor: { palette: 'aura' },
+    
+    // Style variations
+    style: { values: ['organic', 'mechanical', 'cosmic', 'demonic', 'angelic', 'digital', 'crystal'] },
+    intensity: { range: [0.5, 1.5] }
+};
 
-// Generate eyeball from seed input
-function generateFromSeed() {
-    const seedInput = document.getElementById('seedInput');
-    const seed = parseInt(seedInput.value);
-    
-    if (seed && seed >= 1 && seed <= 999999) {
-        generateEyeballWithSeed(seed);
-        seedInput.value = ''; // Clear input
-    } else {
-        alert('Please enter a valid seed between 1 and 999999');
+// Palette sets for generateColor, selected with options.palette. A set lists the palettes it
+// replaces (the rest come from COLOR_PALETTES) and the per-channel jitter. Colors are [r, g, b]
+// or { name, rgb }; getColorName reports the name for colors rolled from them.
+// Edition sets (blood-moon, monochrome, bitcoin) are in witness-palettes.js.
+Eyeball.PALETTE_SETS = {
+    default: { jitter: 30 }
+};
+
+// Drawing layers, back to front. The background is drawn only when the preset has one; each
+// effects slot becomes one layer per effect plugin the eye has (glow and aura behind, laser,
+// particles and lightning in front). Special effects come last so nothing covers them.
+Eyeball.LAYERS = [
+    { id: 'background', method: 'drawBackground', option: 'background', unscaled: true },
+    { effects: 'behind' },
+    { id: 'socket', method: 'drawSocket' },
+    { id: 'sclera', method: 'drawSclera' },
+    { id: 'iris', method: 'drawIris' },
+    { id: 'pupil', method: 'drawPupil' },
+    { id: 'highlights', method: 'drawHighlights' },
+    { effects: 'front' }
+];
+
+// Render presets: everything that differs between the gallery eyes and the transparent eyes
+Eyeball.PRESETS = {
+    // Square gallery card on the dark background
+    native: {
+        background: true,
+        scale: 'absolute',      // Legacy pixel sizes; 'relative' fits the eye to the canvas
+        referenceSize: 300,     // Canvas size the geometry was designed for
+        anchor: { x: 0.5, y: 0.5 },
+        loop: false,            // true (or a period in frames) makes the animation loop seamlessly
+        palette: 'default',     // Name in Eyeball.PALETTE_SETS, or an inline palette set
+        laser: {
+            target: 'length',
+            length: 400,        // Longer laser for more drama
+            segments: 10,       // More segments for smoother curves
+            waveFrequency: 8,
+            waveAmplitude: 3,   // Much smaller amplitude
+            waveSpeed: 2,       // Slower wave motion
+            waveBase: 0.3       // Share of the wave present at the source
+        }
+    },
+    
+    // No background; eye raised to 29% of a taller canvas so the laser can hit the desert floor
+    transparent: {
+        background: false,
+        scale: 'absolute',
+        referenceSize: 300,
+        anchor: { x: 0.5, y: 0.29 },
+        loop: false,
+        palette: 'default',
+        laser: {
+            target: 'floor',
+            overshoot: 100,     // Extra 100px to ensure it reaches
+            segments: 20,       // Smoother, continuous curves
+            waveFrequency: 6,
+            waveAmplitude: 2,
+            waveSpeed: 1.5,
+            waveBase: 0.2
+        }
     }
-}
+};
 
-// Clear all eyeballs
-function clearCollection() {
-    // Stop all animation loops
-    animationLoops.forEach(id => cancelAnimationFrame(id));
-    animationLoops = [];
-    
-    // Remove all eyeball containers
-    const containers = document.querySelectorAll('.eyeball-container');
-    containers.forEach(container => {
-        container.remove();
-    });
-    
-    // Clear the eyeballs array
-    eyeballs = [];
-}
+Eyeball.defaultOptions = Eyeball.PRESETS.native;
 
-// Export metadata for NFT marketplace
-function exportMetadata() {
-    const allMetadata = eyeballs.map((eyeball, index) => ({
-        name: `Witness #${eyeball.seed}`,
-        description: "A unique generative abstract eyeball from the Witness collection. Each eye possesses distinct arcane powers and mystical properties, forged from the depths of digital consciousness.",
-        image: `witness_${eyeball.seed}.png`, // This would be the actual image file
-        external_url: `https://witness.io/eye/${eyeball.seed}`,
-        attributes: eyeball.metadata.traits.map(trait => ({
-            trait_type: trait.name,
-            value: trait.value
-        })),
-        seed: eyeball.seed,
-        collection: "Witness",
-        edition: index + 1,
-        total_supply: eyeballs.length
-    }));
-    
-    // Download as JSON file
-    const dataStr = JSON.stringify(allMetadata, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `witness_metadata_${Date.now()}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
-}
+// Bounds of the default loop period in free-running frames (4 to 12 seconds at 60 fps)
+Eyeball.LOOP_FRAMES = { min: 240, max: 720 };
 
-// Initialize when the page loads
-document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, Canvas2DBackend, CanvasHelper, Eyeball };
+}
\ No newline at end of file
@@ -0,0 +1,709 @@
+// Generative Abstract Eyeballs - Software Raster Backend
+// Pure JavaScript rasterizer for CanvasHelper, so a Witness can be rendered
+// without a browser (build boxes, Node scripts) and written out as PNG bytes.
+// Implements the same backend interface as Canvas2DBackend.
+
+const RASTER_SUBSAMPLES = 4; // Sub-scanlines per pixel row (vertical anti-aliasing)
+const RASTER_MITER_LIMIT = 10; // Same default as CanvasRenderingContext2D
+
+class RasterBackend {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        // Premultiplied RGBA, 0..1 per channel; starts fully transparent like a fresh canvas
+        this.pixels = new Float32Array(width * height * 4);
+        this.coverage = new Float32Array(width + 2);
+        
+        // Canvas defaults: black fill and stroke, 1px lines, identity transform
+        this.state = {
+            matrix: [1, 0, 0, 1, 0, 0],
+            fill: [0, 0, 0, 255],
+            stroke: [0, 0, 0, 255],
+            lineWidth: 1
+        };
+        this.stack = [];
+    }
+    
+    // Drawing state
+    save() {
+        this.stack.push({
+            matrix: this.state.matrix.slice(),
+            fill: this.state.fill,
+            stroke: this.state.stroke,
+            lineWidth: this.state.lineWidth
+        });
+    }
+    
+    restore() {
+        if (this.stack.length > 0) {
+            this.state = this.stack.pop();
+        }
+    }
+    
+    translate(x, y) {
+        const m = this.state.matrix;
+        m[4] += m[0] * x + m[2] * y;
+        m[5] += m[1] * x + m[3] * y;
+    }
+    
+    rotate(angle) {
+        const m = this.state.matrix;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [a, b, c, d] = m;
+        m[0] = a * cos + c * sin;
+        m[1] = b * cos + d * sin;
+        m[2] = c * cos - a * sin;
+        m[3] = d * cos - b * sin;
+    }
+    
+    scale(x, y) {
+        const m = this.state.matrix;
+        m[0] *= x;
+        m[1] *= x;
+        m[2] *= y;
+        m[3] *= y;
+    }
+    
+    setFill(color) {
+        this.state.fill = color ? color.slice() : null;
+    }
+    
+    setStroke(color) {
+        this.state.stroke = color ? color.slice() : null;
+    }
+    
+    setLineWidth(weight) {
+        // Canvas ignores zero, negative and non-finite widths
+        if (weight > 0 && isFinite(weight)) {
+            this.state.lineWidth = weight;
+        }
+    }
+    
+    // Shapes
+    fillCanvas(color) {
+        this.save();
+        this.state.matrix = [1, 0, 0, 1, 0, 0];
+        this.state.fill = color;
+        this.fillRect(0, 0, this.width, this.height);
+        this.restore();
+    }
+    
+    fillEllipse(x, y, rx, ry) {
+        if (!this.state.fill || rx <= 0 || ry <= 0) return;
+        
+        // Enough segments to keep the flattening error well under a pixel
+        const radius = Math.max(rx, ry) * this.deviceScale();
+        const segments = Math.max(12, Math.min(256, Math.ceil(radius * 1.5)));
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push({x: x + Math.cos(angle) * rx, y: y + Math.sin(angle) * ry});
+        }
+        this.paint([this.transform(points)], this.state.fill);
+    }
+    
+    fillRect(x, y, w, h) {
+        if (!this.state.fill) return;
+        this.paint([this.transform([
+            {x, y}, {x: x + w, y}, {x: x + w, y: y + h}, {x, y: y + h}
+        ])], this.state.fill);
+    }
+    
+    fillPolygon(points) {
+        if (!this.state.fill || points.length < 3) return;
+        this.paint([this.transform(points)], this.state.fill);
+    }
+    
+    strokePolyline(points, closed) {
+        if (!this.state.stroke || points.length < 2) return;
+        
+        // Outline the stroke in local space so rotations and scales apply to the width too
+        const rings = RasterBackend.strokeOutline(points, closed, this.state.lineWidth / 2);
+        this.paint(rings.map(ring => this.transform(ring)), this.state.stroke);
+    }
+    
+    // Output
+    toRGBA() {
+        const out = new Uint8ClampedArray(this.width * this.height * 4);
+        for (let i = 0; i < this.pixels.length; i += 4) {
+            const a = this.pixels[i + 3];
+            if (a <= 0) continue;
+            out[i] = Math.round(this.pixels[i] / a * 255);
+            out[i + 1] = Math.round(this.pixels[i + 1] / a * 255);
+            out[i + 2] = Math.round(this.pixels[i + 2] / a * 255);
+            out[i + 3] = Math.round(a * 255);
+        }
+        return out;
+    }
+    
+    toPNG() {
+        return encodePNG(this.width, this.height, this.toRGBA());
+    }
+    
+    // Internals
+    deviceScale() {
+        const m = this.state.matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+    
+    transform(points) {
+        const m = this.state.matrix;
+        return points.map(point => ({
+            x: m[0] * point.x + m[2] * point.y + m[4],
+            y: m[1] * point.x + m[3] * point.y + m[5]
+        }));
+    }
+    
+    // Fill a set of device-space rings with the nonzero winding rule and blend the
+    // coverage into the buffer (source-over)
+    paint(rings, color) {
+        const alpha = Math.min(1, Math.max(0, color[3] / 255));
+        if (!(alpha > 0)) return;
+        
+        const edges = [];
+        let minY = Infinity;
+        let maxY = -Infinity;
+        rings.forEach(ring => {
+            if (!ring.every(point => isFinite(point.x) && isFinite(point.y))) return;
+            for (let i = 0; i < ring.length; i++) {
+                const a = ring[i];
+                const b = ring[(i + 1) % ring.length];
+                if (a.y === b.y) continue;
+                const down = a.y < b.y;
+                const top = down ? a : b;
+                const bottom = down ? b : a;
+                edges.push({
+                    y0: top.y,
+                    y1: bottom.y,
+                    x0: top.x,
+                    slope: (bottom.x - top.x) / (bottom.y - top.y),
+                    dir: down ? 1 : -1
+                });
+                minY = Math.min(minY, top.y);
+                maxY = Math.max(maxY, bottom.y);
+            }
+        });
+        if (edges.length === 0) return;
+        
+        const rowStart = Math.max(0, Math.floor(minY));
+        const rowEnd = Math.min(this.height - 1, Math.ceil(maxY));
+        if (rowStart > rowEnd) return;
+        
+        edges.sort((a, b) => a.y0 - b.y0);
+        
+        const r = Math.min(255, Math.max(0, color[0])) / 255;
+        const g = Math.min(255, Math.max(0, color[1])) / 255;
+        const b = Math.min(255, Math.max(0, color[2])) / 255;
+        const coverage = this.coverage;
+        const weight = 1 / RASTER_SUBSAMPLES;
+        const crossings = [];
+        let active = [];
+        let nextEdge = 0;
+        
+        for (let row = rowStart; row <= rowEnd; row++) {
+            let spanMin = this.width;
+            let spanMax = -1;
+            
+            for (let sub = 0; sub < RASTER_SUBSAMPLES; sub++) {
+                const sy = row + (sub + 0.5) * weight;
+                
+                while (nextEdge < edges.length && edges[nextEdge].y0 <= sy) {
+                    active.push(edges[nextEdge++]);
+                }
+                active = active.filter(edge => edge.y1 > sy);
+                
+                crossings.length = 0;
+                active.forEach(edge => {
+                    if (edge.y0 <= sy) {
+                        crossings.push({x: edge.x0 + (sy - edge.y0) * edge.slope, dir: edge.dir});
+                    }
+                });
+                if (crossings.length < 2) continue;
+                crossings.sort((a, b) => a.x - b.x);
+                
+                let winding = 0;
+                for (let i = 0; i < crossings.length - 1; i++) {
+                    winding += crossings[i].dir;
+                    if (winding === 0) continue;
+                    
+                    const x0 = Math.max(0, crossings[i].x);
+                    const x1 = Math.min(this.width, crossings[i + 1].x);
+                    if (x1 <= x0) continue;
+                    
+                    const p0 = Math.floor(x0);
+                    const p1 = Math.floor(x1);
+                    if (p0 === p1) {
+                        coverage[p0] += (x1 - x0) * weight;
+                    } else {
+                        coverage[p0] += (p0 + 1 - x0) * weight;
+                        for (let p = p0 + 1; p < p1; p++) coverage[p] += weight;
+                        coverage[p1] += (x1 - p1) * weight;
+                    }
+                    spanMin = Math.min(spanMin, p0);
+                    spanMax = Math.max(spanMax, Math.min(p1, this.width - 1));
+                }
+            }
+            
+            // Blend this row and reset its coverage
+            for (let x = spanMin; x <= spanMax; x++) {
+                const cover = Math.min(1, coverage[x]);
+                coverage[x] = 0;
+                if (cover <= 0) continue;
+                
+                const a = alpha * cover;
+                const i = (row * this.width + x) * 4;
+                const keep = 1 - a;
+                this.pixels[i] = r * a + this.pixels[i] * keep;
+                this.pixels[i + 1] = g * a + this.pixels[i + 1] * keep;
+                this.pixels[i + 2] = b * a + this.pixels[i + 2] * keep;
+                this.pixels[i + 3] = a + this.pixels[i + 3] * keep;
+            }
+            coverage[this.width] = 0;
+        }
+    }
+    
+    // Build the outline of a stroked polyline as a set of rings: one quad per segment
+    // plus miter (or bevel) joins. Rings are all wound the same way so the nonzero
+    // fill unions them without double-blending the overlaps.
+    static strokeOutline(points, closed, halfWidth) {
+        const path = points.filter((point, i) =>
+            i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y);
+        if (closed && path.length > 2) {
+            const first = path[0];
+            const last = path[path.length - 1];
+            if (first.x === last.x && first.y === last.y) path.pop();
+        }
+        if (path.length < 2) return [];
+        
+        const rings = [];
+        const count = closed ? path.length : path.length - 1;
+        const normals = [];
+        
+        for (let i = 0; i < count; i++) {
+            const a = path[i];
+            const b = path[(i + 1) % path.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            const nx = -(b.y - a.y) / length * halfWidth;
+            const ny = (b.x - a.x) / length * halfWidth;
+            normals.push({x: nx, y: ny});
+            rings.push([
+                {x: a.x + nx, y: a.y + ny},
+                {x: b.x + nx, y: b.y + ny},
+                {x: b.x - nx, y: b.y - ny},
+                {x: a.x - nx, y: a.y - ny}
+            ]);
+        }
+        
+        // Joins between consecutive segments
+        const firstJoin = closed ? 0 : 1;
+        for (let i = firstJoin; i < path.length; i++) {
+            if (!closed && i === path.length - 1) break;
+            const point = path[i];
+            const n1 = normals[(i - 1 + count) % count];
+            const n2 = normals[i % count];
+            const cross = n1.x * n2.y - n1.y * n2.x;
+            if (cross === 0) continue;
+            
+            // The join sits on the outside of the turn
+            const side = cross > 0 ? -1 : 1;
+            const e1 = {x: point.x + n1.x * side, y: point.y + n1.y * side};
+            const e2 = {x: point.x + n2.x * side, y: point.y + n2.y * side};
+            
+            const mx = n1.x + n2.x;
+            const my = n1.y + n2.y;
+            const mLength = Math.hypot(mx, my);
+            const cosHalf = mLength / (2 * halfWidth);
+            if (cosHalf > 0 && 1 / cosHalf <= RASTER_MITER_LIMIT) {
+                const reach = halfWidth / cosHalf;
+                rings.push([point, e1, {x: point.x + mx / mLength * reach * side, y: point.y + my / mLength * reach * side}, e2]);
+            } else {
+                rings.push([point, e1, e2]);
+            }
+        }
+        
+        return rings.map(ring => RasterBackend.signedArea(ring) < 0 ? ring.reverse() : ring);
+    }
+    
+    static signedArea(ring) {
+        let area = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+}
+
+// PNG encoding (8-bit RGBA, no interlacing)
+const PNG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = PNG_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+// zlib stream (RFC 1950/1951) in plain JS, so Node, the ES module build and the browser all
+// write the same compressed bytes. LZ77 over a 32K window (hash chains, one step of lazy
+// matching), then a dynamic Huffman block for every DEFLATE_BLOCK_TOKENS matches and literals.
+const DEFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const DEFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DEFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DEFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const DEFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const DEFLATE_WINDOW = 32768;
+const DEFLATE_MAX_CHAIN = 128; // Candidates tried per position
+const DEFLATE_NICE_LENGTH = 128; // Stop searching at a match this long
+const DEFLATE_LAZY_LENGTH = 32; // Don't look one byte ahead past a match this long
+const DEFLATE_BLOCK_TOKENS = 65536;
+
+// Length and distance code of every match length (3-258) and distance (1-32768)
+const DEFLATE_CODES = (() => {
+    const length = new Uint8Array(259);
+    const distance = new Uint8Array(DEFLATE_WINDOW + 1);
+    DEFLATE_LENGTH_BASE.forEach((base, code) => length.fill(code, base));
+    DEFLATE_DISTANCE_BASE.forEach((base, code) => distance.fill(code, base));
+    return { length, distance };
+})();
+
+// Writes bits least significant first, as deflate packs them
+class DeflateBitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(64, capacity));
+        this.length = 0;
+        this.bits = 0;
+        this.count = 0;
+    }
+    
+    write(value, count) {
+        this.bits |= value << this.count;
+        this.count += count;
+        while (this.count >= 8) {
+            this.byte(this.bits & 0xff);
+            this.bits >>>= 8;
+            this.count -= 8;
+        }
+    }
+    
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+    
+    // Pads to a whole byte and returns everything written
+    finish() {
+        if (this.count > 0) this.byte(this.bits & 0xff);
+        this.bits = 0;
+        this.count = 0;
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+// Code lengths of a Huffman code for these symbol counts, none longer than maxBits. Too-deep
+// trees are rebuilt from flattened counts; a lone symbol gets a partner so the code is complete.
+function huffmanLengths(counts, maxBits) {
+    const lengths = new Uint8Array(counts.length);
+    let weights = Array.from(counts);
+    for (;;) {
+        const nodes = [];
+        weights.forEach((weight, symbol) => {
+            if (weight > 0) nodes.push({ weight, symbols: [symbol] });
+        });
+        lengths.fill(0);
+        if (nodes.length === 0) return lengths;
+        if (nodes.length === 1) {
+            lengths[nodes[0].symbols[0]] = 1;
+            lengths[nodes[0].symbols[0] === 0 ? 1 : 0] = 1;
+            return lengths;
+        }
+        
+        while (nodes.length > 1) {
+            nodes.sort((a, b) => a.weight - b.weight);
+            const [a, b] = nodes.splice(0, 2);
+            const symbols = a.symbols.concat(b.symbols);
+            symbols.forEach(symbol => lengths[symbol]++);
+            nodes.push({ weight: a.weight + b.weight, symbols });
+        }
+        if (lengths.every(length => length <= maxBits)) return lengths;
+        weights = weights.map(weight => weight > 0 ? (weight >> 1) | 1 : 0);
+    }
+}
+
+// Canonical codes for those lengths, bit-reversed for DeflateBitWriter
+function huffmanCodes(lengths) {
+    const perLength = new Uint16Array(16);
+    lengths.forEach(length => perLength[length]++);
+    perLength[0] = 0;
+    const next = new Uint16Array(16);
+    for (let bits = 1, code = 0; bits < 16; bits++) {
+        code = (code + perLength[bits - 1]) << 1;
+        next[bits] = code;
+    }
+    
+    const codes = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length === 0) return;
+        let code = next[length]++;
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | (code & 1);
+            code >>= 1;
+        }
+        codes[symbol] = reversed;
+    });
+    return codes;
+}
+
+// Code length alphabet for a block header: [symbol, extra bits value] pairs, with runs as
+// 16 (repeat the previous length 3-6 times), 17 (3-10 zeros) and 18 (11-138 zeros)
+function codeLengthRuns(lengths) {
+    const runs = [];
+    for (let i = 0; i < lengths.length;) {
+        const value = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === value) run++;
+        
+        if (value === 0 && run >= 3) {
+            const count = Math.min(run, 138);
+            runs.push(count >= 11 ? [18, count - 11] : [17, count - 3]);
+            i += count;
+        } else if (value !== 0 && run >= 4) {
+            const count = Math.min(run - 1, 6);
+            runs.push([value, 0], [16, count - 3]);
+            i += 1 + count;
+        } else {
+            runs.push([value, 0]);
+            i++;
+        }
+    }
+    return runs;
+}
+
+// One dynamic Huffman block. values[i] is a literal byte (distances[i] 0) or a match length.
+function writeDeflateBlock(writer, values, distances, count, last) {
+    const literalCounts = new Uint32Array(286);
+    const distanceCounts = new Uint32Array(30);
+    for (let i = 0; i < count; i++) {
+        if (distances[i] === 0) {
+            literalCounts[values[i]]++;
+        } else {
+            literalCounts[257 + DEFLATE_CODES.length[values[i]]]++;
+            distanceCounts[DEFLATE_CODES.distance[distances[i]]]++;
+        }
+    }
+    literalCounts[256] = 1; // End of block
+    
+    const literalLengths = huffmanLengths(literalCounts, 15);
+    const distanceLengths = huffmanLengths(distanceCounts, 15);
+    let literalTotal = 286;
+    while (literalTotal > 257 && literalLengths[literalTotal - 1] === 0) literalTotal--;
+    let distanceTotal = 30;
+    while (distanceTotal > 1 && distanceLengths[distanceTotal - 1] === 0) distanceTotal--;
+    
+    const runs = codeLengthRuns([...literalLengths.subarray(0, literalTotal), ...distanceLengths.subarray(0, distanceTotal)]);
+    const runCounts = new Uint32Array(19);
+    runs.forEach(([symbol]) => runCounts[symbol]++);
+    const runLengths = huffmanLengths(runCounts, 7);
+    const runCodes = huffmanCodes(runLengths);
+    let runTotal = 19;
+    while (runTotal > 4 && runLengths[DEFLATE_CODE_LENGTH_ORDER[runTotal - 1]] === 0) runTotal--;
+    
+    writer.write(last ? 1 : 0, 1);
+    writer.write(2, 2); // Dynamic Huffman codes
+    writer.write(literalTotal - 257, 5);
+    writer.write(distanceTotal - 1, 5);
+    writer.write(runTotal - 4, 4);
+    for (let i = 0; i < runTotal; i++) {
+        writer.write(runLengths[DEFLATE_CODE_LENGTH_ORDER[i]], 3);
+    }
+    runs.forEach(([symbol, extra]) => {
+        writer.write(runCodes[symbol], runLengths[symbol]);
+        if (symbol === 16) writer.write(extra, 2);
+        if (symbol === 17) writer.write(extra, 3);
+        if (symbol === 18) writer.write(extra, 7);
+    });
+    
+    const literalCodes = huffmanCodes(literalLengths);
+    const distanceCodes = huffmanCodes(distanceLengths);
+    for (let i = 0; i < count; i++) {
+        const value = values[i];
+        const distance = distances[i];
+        if (distance === 0) {
+            writer.write(literalCodes[value], literalLengths[value]);
+            continue;
+        }
+        const lengthCode = DEFLATE_CODES.length[value];
+        writer.write(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+        writer.write(value - DEFLATE_LENGTH_BASE[lengthCode], DEFLATE_LENGTH_EXTRA[lengthCode]);
+        const distanceCode = DEFLATE_CODES.distance[distance];
+        writer.write(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+        writer.write(distance - DEFLATE_DISTANCE_BASE[distanceCode], DEFLATE_DISTANCE_EXTRA[distanceCode]);
+    }
+    writer.write(literalCodes[256], literalLengths[256]);
+}
+
+function zlibDeflate(bytes) {
+    const writer = new DeflateBitWriter(bytes.length >>> 2);
+    writer.write(0x78, 8); // 32K window, deflate
+    writer.write(0x9c, 8);
+    
+    // Hash chains of the 3-byte strings starting at each position
+    const head = new Int32Array(1 << 15).fill(-1);
+    const previous = new Int32Array(DEFLATE_WINDOW);
+    const hash = i => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & 0x7fff;
+    const insert = i => {
+        if (i + 2 >= bytes.length) return;
+        const h = hash(i);
+        previous[i & (DEFLATE_WINDOW - 1)] = head[h];
+        head[h] = i;
+    };
+    
+    // Longest earlier match for position i: length * 65536 + distance, or 0
+    const findMatch = i => {
+        if (i + 2 >= bytes.length) return 0;
+        const maxLength = Math.min(258, bytes.length - i);
+        let bestLength = 2;
+        let bestDistance = 0;
+        let candidate = head[hash(i)];
+        for (let chain = 0; chain < DEFLATE_MAX_CHAIN && candidate >= 0 && i - candidate <= DEFLATE_WINDOW; chain++) {
+            if (bytes[candidate + bestLength] === bytes[i + bestLength]) {
+                let length = 0;
+                while (length < maxLength && bytes[candidate + length] === bytes[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+                    if (length >= DEFLATE_NICE_LENGTH || length === maxLength) break;
+                }
+            }
+            const next = previous[candidate & (DEFLATE_WINDOW - 1)];
+            if (next >= candidate) break; // Slot reused by a newer position: the chain ends here
+            candidate = next;
+        }
+        return bestDistance > 0 ? bestLength * 65536 + bestDistance : 0;
+    };
+    
+    const values = new Uint16Array(DEFLATE_BLOCK_TOKENS);
+    const distances = new Uint16Array(DEFLATE_BLOCK_TOKENS);
+    let tokens = 0;
+    const emit = (value, distance) => {
+        values[tokens] = value;
+        distances[tokens] = distance;
+        if (++tokens === DEFLATE_BLOCK_TOKENS) {
+            writeDeflateBlock(writer, values, distances, tokens, false);
+            tokens = 0;
+        }
+    };
+    
+    let i = 0;
+    let match = findMatch(0);
+    while (i < bytes.length) {
+        insert(i);
+        const length = match >>> 16;
+        if (length === 0) {
+            emit(bytes[i++], 0);
+            match = findMatch(i);
+            continue;
+        }
+        
+        // A longer match one byte on is worth a literal first
+        if (length < DEFLATE_LAZY_LENGTH) {
+            const next = findMatch(i + 1);
+            if (next >>> 16 > length) {
+                emit(bytes[i++], 0);
+                match = next;
+                continue;
+            }
+        }
+        emit(length, match & 0xffff);
+        for (let k = 1; k < length; k++) insert(i + k);
+        i += length;
+        match = findMatch(i);
+    }
+    writeDeflateBlock(writer, values, distances, tokens, true);
+    writer.finish();
+    
+    // Adler-32 checksum
+    let s1 = 1;
+    let s2 = 0;
+    for (let k = 0; k < bytes.length; k++) {
+        s1 = (s1 + bytes[k]) % 65521;
+        s2 = (s2 + s1) % 65521;
+    }
+    [s2 >>> 8, s2 & 0xff, s1 >>> 8, s1 & 0xff].forEach(value => writer.byte(value));
+    return writer.bytes.slice(0, writer.length);
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+    return chunk;
+}
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// IHDR chunk data for an 8-bit RGBA image
+function pngHeader(width, height) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // Color type: RGBA
+    return header;
+}
+
+// Compressed image data (IDAT contents): each scanline is prefixed with filter type 0 (none)
+function pngImageData(width, height, rgba) {
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+    return zlibDeflate(raw);
+}
+
+function concatBytes(chunks) {
+    const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+function encodePNG(width, height, rgba) {
+    return concatBytes([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', pngHeader(width, height)),
+        pngChunk('IDAT', pngImageData(width, height, rgba)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RasterBackend, encodePNG, pngChunk, pngHeader, pngImageData, concatBytes, zlibDeflate, crc32, PNG_SIGNATURE };
+}
@@ -0,0 +1,152 @@
+// Generative Abstract Eyeballs - SVG Backend
+// Records CanvasHelper drawing calls as SVG elements, so any Witness frame can be
+// exported as a standalone, scalable vector document.
+// Implements the same backend interface as Canvas2DBackend.
+
+class SvgBackend {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        
+        // Canvas defaults: black fill and stroke, 1px lines, identity transform
+        this.state = {
+            matrix: [1, 0, 0, 1, 0, 0],
+            fill: [0, 0, 0, 255],
+            stroke: [0, 0, 0, 255],
+            lineWidth: 1
+        };
+        this.stack = [];
+    }
+    
+    // Drawing state
+    save() {
+        this.stack.push({
+            matrix: this.state.matrix.slice(),
+            fill: this.state.fill,
+            stroke: this.state.stroke,
+            lineWidth: this.state.lineWidth
+        });
+    }
+    
+    restore() {
+        if (this.stack.length > 0) {
+            this.state = this.stack.pop();
+        }
+    }
+    
+    translate(x, y) {
+        const m = this.state.matrix;
+        m[4] += m[0] * x + m[2] * y;
+        m[5] += m[1] * x + m[3] * y;
+    }
+    
+    rotate(angle) {
+        const m = this.state.matrix;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [a, b, c, d] = m;
+        m[0] = a * cos + c * sin;
+        m[1] = b * cos + d * sin;
+        m[2] = c * cos - a * sin;
+        m[3] = d * cos - b * sin;
+    }
+    
+    scale(x, y) {
+        const m = this.state.matrix;
+        m[0] *= x;
+        m[1] *= x;
+        m[2] *= y;
+        m[3] *= y;
+    }
+    
+    setFill(color) {
+        this.state.fill = color ? color.slice() : null;
+    }
+    
+    setStroke(color) {
+        this.state.stroke = color ? color.slice() : null;
+    }
+    
+    setLineWidth(weight) {
+        // Canvas ignores zero, negative and non-finite widths
+        if (weight > 0 && isFinite(weight)) {
+            this.state.lineWidth = weight;
+        }
+    }
+    
+    // Shapes
+    fillCanvas(color) {
+        this.elements.push(`<rect width="${this.width}" height="${this.height}"${SvgBackend.paint('fill', color)}/>`);
+    }
+    
+    fillEllipse(x, y, rx, ry) {
+        const fill = SvgBackend.paint('fill', this.state.fill);
+        if (!fill || rx <= 0 || ry <= 0) return;
+        const n = SvgBackend.num;
+        this.elements.push(`<ellipse cx="${n(x)}" cy="${n(y)}" rx="${n(rx)}" ry="${n(ry)}"${fill}${this.transformAttribute()}/>`);
+    }
+    
+    fillRect(x, y, w, h) {
+        const fill = SvgBackend.paint('fill', this.state.fill);
+        if (!fill) return;
+        const n = SvgBackend.num;
+        this.elements.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}"${fill}${this.transformAttribute()}/>`);
+    }
+    
+    fillPolygon(points) {
+        const fill = SvgBackend.paint('fill', this.state.fill);
+        if (!fill || points.length < 3) return;
+        this.elements.push(`<polygon points="${SvgBackend.points(points)}"${fill}${this.transformAttribute()}/>`);
+    }
+    
+    strokePolyline(points, closed) {
+        const stroke = SvgBackend.paint('stroke', this.state.stroke);
+        if (!stroke || points.length < 2) return;
+        const tag = closed ? 'polygon' : 'polyline';
+        this.elements.push(`<${tag} points="${SvgBackend.points(points)}" fill="none"${stroke} stroke-width="${SvgBackend.num(this.state.lineWidth)}"${this.transformAttribute()}/>`);
+    }
+    
+    // Output
+    toSVG() {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}" stroke-miterlimit="10">` +
+            this.elements.join('') +
+            '</svg>';
+    }
+    
+    // Internals
+    transformAttribute() {
+        const [a, b, c, d, e, f] = this.state.matrix;
+        const n = SvgBackend.num;
+        if (a === 1 && b === 0 && c === 0 && d === 1) {
+            if (e === 0 && f === 0) return '';
+            return ` transform="translate(${n(e)} ${n(f)})"`;
+        }
+        const m = value => Number(value.toFixed(4)).toString();
+        return ` transform="matrix(${m(a)} ${m(b)} ${m(c)} ${m(d)} ${n(e)} ${n(f)})"`;
+    }
+    
+    // Fill or stroke attributes for a [r, g, b, a] color; empty when nothing would show
+    static paint(attribute, color) {
+        if (!color) return '';
+        const alpha = Math.min(1, Math.max(0, color[3] / 255));
+        if (!(alpha > 0)) return '';
+        const channel = value => Math.round(Math.min(255, Math.max(0, value)));
+        const rgb = `rgb(${channel(color[0])},${channel(color[1])},${channel(color[2])})`;
+        const opacity = alpha < 1 ? ` ${attribute}-opacity="${Number(alpha.toFixed(3))}"` : '';
+        return ` ${attribute}="${rgb}"${opacity}`;
+    }
+    
+    static points(points) {
+        return points.map(point => `${SvgBackend.num(point.x)},${SvgBackend.num(point.y)}`).join(' ');
+    }
+    
+    static num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SvgBackend };
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Fusion tool - breeds a child Witness from two parent seeds and a salt (see witness-breeding.js),
+// or checks that a child's lineage recomputes to it
+//
+// Usage:
+//   node tools/breed-witness.js <parent1> <parent2> --salt <salt> [options]
+//   node tools/breed-witness.js --verify <child.json>
+//
+// Options:
+//   --salt <text>        Fusion salt, e.g. a drop name or block hash (required)
+//   --mutation <rate>    Chance of each trait mutating, 0-1 (default 0.05)
+//   --size <px>          Canvas width and height (default 300)
+//   --transparent        Use the transparent render preset (no background)
+//   --out <dir>          Output directory (default ./renders); writes witness_<child seed>_fusion.png and .json
+
+const fs = require('fs');
+const path = require('path');
+const { RasterBackend } = require('../eyeball-raster.js');
+const { breedEyeball, verifyLineage, BREEDING_DEFAULTS } = require('../witness-breeding.js');
+const { eyeballSpec } = require('../witness-forge.js');
+
+function parseArgs(argv) {
+    const options = {
+        parents: [],
+        salt: null,
+        mutationRate: BREEDING_DEFAULTS.mutationRate,
+        size: 300,
+        transparent: false,
+        verify: null,
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--salt') {
+            options.salt = argv[++i];
+        } else if (arg === '--mutation') {
+            options.mutationRate = parseFloat(argv[++i]);
+        } else if (arg === '--size') {
+            options.size = parseInt(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.transparent = true;
+        } else if (arg === '--verify') {
+            options.verify = argv[++i];
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.parents.push(parseInt(arg));
+        }
+    }
+    
+    if (!(options.size > 0)) throw new Error('--size must be a positive integer');
+    options.parents.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Parent seeds must be integers');
+    });
+    return options;
+}
+
+function verify(file) {
+    const child = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const spec = child.spec || child;
+    const { parents, salt } = spec.lineage || {};
+    if (verifyLineage(spec)) {
+        console.log(`${file}: child ${spec.seed} of ${parents.join(' x ')} (salt "${salt}") verified`);
+    } else {
+        console.error(`${file}: does NOT match the fusion of ${parents.join(' x ')} (salt "${salt}")`);
+        process.exit(1);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.verify) {
+        verify(options.verify);
+        return;
+    }
+    if (options.parents.length !== 2 || options.salt === null) {
+        console.error('Usage: node tools/breed-witness.js <parent1> <parent2> --salt <salt> [--mutation rate] [--size px] [--transparent] [--out dir]');
+        console.error('       node tools/breed-witness.js --verify <child.json>');
+        process.exit(1);
+    }
+    
+    const preset = options.transparent ? 'transparent' : 'native';
+    const [parent1, parent2] = options.parents;
+    const eyeball = breedEyeball(parent1, parent2, options.salt, options.size, options.size, {
+        mutationRate: options.mutationRate,
+        preset,
+        scale: 'relative'
+    });
+    const backend = new RasterBackend(options.size, options.size);
+    eyeball.draw(backend, eyeball.frameTime(1));
+    
+    const name = `witness_${eyeball.seed}_fusion`;
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(path.join(options.out, `${name}.png`), backend.toPNG());
+    fs.writeFileSync(path.join(options.out, `${name}.json`), JSON.stringify({
+        spec: { ...eyeballSpec(eyeball), lineage: eyeball.metadata.lineage },
+        attributes: eyeball.metadata.traits
+    }, null, 2));
+    
+    const { lineage } = eyeball.metadata;
+    console.log(`${path.join(options.out, name)}.png / .json: child ${eyeball.seed} of ${lineage.parents.join(' x ')}`);
+    console.log(`  Mutations: ${lineage.mutations.length > 0 ? lineage.mutations.join(', ') : 'none'}`);
+    eyeball.metadata.traits.forEach(trait => console.log(`  ${trait.name}: ${trait.value}`));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
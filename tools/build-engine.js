@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// ES module build - generates the .mjs versions of the engine, the render backends and the
+// witness modules published with them
+//
+// The classic scripts are the source of truth. Each build copies one of them, drops its
+// CommonJS export block and adds an ES export of the same names, so
+//   import { Eyeball } from './eyeball-generator-native.mjs';
+// gets exactly the code that <script src="eyeball-generator-native.js"> and require() get.
+// A module that finds another one through its global (typeof Eyeball !== 'undefined' ? ...)
+// gets an ES import of those names instead, so it uses the same classes as its importer.
+//
+// The .mjs files are build output and aren't checked in: npm pack (prepack) writes them, or run
+// this after editing a source to use them locally.
+//
+// Usage:
+//   node tools/build-engine.js            Write the .mjs files
+//   node tools/build-engine.js --check    Only check that every source still builds
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const BUILDS = [
+    { source: 'eyeball-generator-native.js', output: 'eyeball-generator-native.mjs' },
+    { source: 'eyeball-raster.js', output: 'eyeball-raster.mjs' },
+    {
+        source: 'eyeball-generator-transparent.js',
+        output: 'eyeball-generator-transparent.mjs',
+        imports: { './eyeball-generator-native.mjs': ['Eyeball'] }
+    },
+    { source: 'eyeball-svg.js', output: 'eyeball-svg.mjs' },
+    { source: 'witness-seeds.js', output: 'witness-seeds.mjs' },
+    {
+        source: 'witness-palettes.js',
+        output: 'witness-palettes.mjs',
+        imports: { './eyeball-generator-native.mjs': ['Eyeball'] }
+    },
+    {
+        source: 'witness-forge.js',
+        output: 'witness-forge.mjs',
+        imports: { './eyeball-generator-native.mjs': ['Eyeball'] }
+    },
+    {
+        source: 'witness-breeding.js',
+        output: 'witness-breeding.mjs',
+        imports: {
+            './eyeball-generator-native.mjs': ['Eyeball', 'SeededRandom'],
+            './witness-seeds.mjs': ['seedFromString'],
+            './witness-forge.mjs': ['forgeEyeball', 'eyeballSpec']
+        }
+    }
+];
+
+const EXPORT_BLOCK = /\/\/ Node \/ CommonJS export\nif \(typeof module !== 'undefined' && module\.exports\) \{\n\s*module\.exports = \{\s*([\w\s,]+?)\s*\};\n\}\n?$/;
+
+function buildModule(build) {
+    const source = fs.readFileSync(path.join(ROOT, build.source), 'utf8');
+    const match = source.match(EXPORT_BLOCK);
+    if (!match) {
+        throw new Error(`${build.source}: expected the file to end with its CommonJS export block`);
+    }
+    
+    const names = match[1].split(',').map(name => name.trim()).filter(Boolean);
+    const imports = Object.keys(build.imports || {})
+        .map(file => `import { ${build.imports[file].join(', ')} } from '${file}';\n`)
+        .join('');
+    return `// Generated by tools/build-engine.js from ${build.source} - edit that file instead\n\n` +
+        (imports ? imports + '\n' : '') +
+        source.slice(0, match.index) +
+        `// ES module export\nexport { ${names.join(', ')} };\n`;
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    let failed = 0;
+    
+    BUILDS.forEach(build => {
+        let code;
+        try {
+            code = buildModule(build);
+        } catch (error) {
+            console.error(error.message);
+            failed++;
+            return;
+        }
+        if (!check) {
+            fs.writeFileSync(path.join(ROOT, build.output), code);
+            console.log(`Wrote ${build.output}`);
+        }
+    });
+    
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
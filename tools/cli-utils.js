@@ -0,0 +1,17 @@
+// Shared helpers for the command-line tools
+
+const fs = require('fs');
+
+// Seeds from a JSON array or a text file with one seed per line (or whitespace separated)
+function readSeedFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const seeds = text.trim().startsWith('[')
+        ? JSON.parse(text).map(Number)
+        : text.split(/\s+/).filter(Boolean).map(Number);
+    seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error(`${file}: seeds must be integers`);
+    });
+    return seeds;
+}
+
+module.exports = { readSeedFile };
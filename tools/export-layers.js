@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Layer export - one transparent PNG per drawing layer of a Witness, plus layers.json with
+// the layer order and blending, for reworking a Witness in an image editor
+//
+// Usage:
+//   node tools/export-layers.js <seed> [<seed> ...] [options]
+//
+// Options:
+//   --size <px>          Canvas width and height (default 300)
+//   --frame <n>          Free-running frame to capture, 1 = first frame drawn (default 1)
+//   --time <t>           Animation time to capture (overrides --frame)
+//   --transparent        Use the transparent render preset (no background layer)
+//   --out <dir>          Output directory (default ./renders); each seed gets witness_<seed>_layers/
+
+const fs = require('fs');
+const path = require('path');
+const { exportLayers, LAYER_DEFAULTS } = require('../witness-layers.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        layers: { ...LAYER_DEFAULTS },
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--size') {
+            options.layers.size = parseInt(argv[++i]);
+        } else if (arg === '--frame') {
+            options.layers.frame = parseInt(argv[++i]);
+        } else if (arg === '--time') {
+            options.layers.time = parseFloat(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.layers.preset = 'transparent';
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!(options.layers.frame >= 1)) throw new Error('--frame must be 1 or more');
+    if (options.layers.time !== null && !isFinite(options.layers.time)) throw new Error('--time must be a number');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        console.error('Usage: node tools/export-layers.js <seed> [<seed> ...] [--size px] [--frame n | --time t] [--transparent] [--out dir]');
+        process.exit(1);
+    }
+    
+    options.seeds.forEach(seed => {
+        const dir = path.join(options.out, `witness_${seed}_layers`);
+        fs.mkdirSync(dir, { recursive: true });
+        const { files, manifest } = exportLayers(seed, options.layers);
+        files.forEach(file => fs.writeFileSync(path.join(dir, file.name), file.bytes));
+        const empty = manifest.layers.filter(layer => !layer.bounds).map(layer => layer.id);
+        console.log(`${dir}: ${manifest.layers.map(layer => layer.id).join(', ')}${empty.length ? ` (empty at this time: ${empty.join(', ')})` : ''}`);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
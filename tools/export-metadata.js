@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// Metadata export - writes collection metadata as Ordinals collection JSON, ERC-721 JSON or CSV
+//
+// Usage:
+//   node tools/export-metadata.js --format <ordinals|erc721|csv> [options]
+//       (no seeds: the collection in witness-manifest.js, with its token names and inscription IDs)
+//   node tools/export-metadata.js --format csv <seed> [<seed> ...] [options]
+//   node tools/export-metadata.js --format csv --seed-file seeds.json [options]
+//
+// Options:
+//   --config <path>      JSON file with collection, description, itemName, image, externalUrl and
+//                        animationUrl (see EXPORT_CONFIG in witness-export.js for the defaults)
+//   --out <path>         Output file (default: <collection>-<format>.<ext> in the current directory)
+//   --split <dir>        erc721 only: one <token>.json file per token instead of a single array
+
+const fs = require('fs');
+const path = require('path');
+const { exportCollection, exportEntry, erc721Token, EXPORT_FORMATS, EXPORT_CONFIG } = require('../witness-export.js');
+const { manifestTokens } = require('../witness-manifest.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+function parseArgs(argv) {
+    const options = {
+        format: null,
+        seeds: [],
+        config: {},
+        out: null,
+        split: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg === '--config') {
+            options.config = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--split') {
+            options.split = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!EXPORT_FORMATS[options.format]) {
+        throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (options.split && options.format !== 'erc721') throw new Error('--split only applies to --format erc721');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const witnesses = options.seeds.length > 0
+        ? options.seeds.map((seed, index) => ({ token: index + 1, seed }))
+        : manifestTokens();
+    
+    if (options.split) {
+        const config = { ...EXPORT_CONFIG, ...options.config };
+        fs.mkdirSync(options.split, { recursive: true });
+        witnesses.forEach((witness, index) => {
+            const entry = exportEntry(witness, index, config);
+            fs.writeFileSync(path.join(options.split, `${entry.token}.json`), JSON.stringify(erc721Token(entry, config), null, 2));
+        });
+        console.log(`Wrote ${witnesses.length} token files to ${options.split}`);
+        return;
+    }
+    
+    const file = exportCollection(options.format, witnesses, options.config);
+    const out = options.out || file.filename;
+    fs.writeFileSync(out, file.content);
+    console.log(`Wrote ${witnesses.length} Witnesses to ${out}`);
+    
+    const missing = witnesses.filter(witness => !witness.inscription).length;
+    if (options.format === 'ordinals' && missing > 0) {
+        console.warn(`${missing} Witnesses have no inscription ID yet (no "id" field)`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
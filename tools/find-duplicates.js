@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Near-duplicate report - checks that no two Witnesses in a seed list are effectively the same eye
+//
+// Usage:
+//   node tools/find-duplicates.js [options]                 (no seeds: the collection in witness-manifest.js)
+//   node tools/find-duplicates.js <seed> [<seed> ...] [options]
+//   node tools/find-duplicates.js --seed-file seeds.json [options]
+//
+// Options:
+//   --seed-file <path>   JSON array of seeds, or a text file with one seed per line
+//   --threshold <s>      Similarity for same-trait pairs to count as duplicates (default 0.85)
+//   --lookalike <s>      Similarity for different-trait pairs to be listed for review (default 0.98)
+//   --color-tolerance <n>
+//                        Largest channel difference between matching eyes' part colors (default 30)
+//   --json <path>        Write the full report (fingerprints, clusters, lookalikes) as JSON
+//
+// Exits with status 1 when any near-duplicate cluster is found.
+
+const fs = require('fs');
+const { findDuplicates, DUPLICATE_DEFAULTS } = require('../witness-duplicates.js');
+const { WITNESS_MANIFEST } = require('../witness-manifest.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        threshold: DUPLICATE_DEFAULTS.threshold,
+        lookalikeThreshold: DUPLICATE_DEFAULTS.lookalikeThreshold,
+        colorTolerance: DUPLICATE_DEFAULTS.colorTolerance,
+        json: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg === '--threshold') {
+            options.threshold = parseFloat(argv[++i]);
+        } else if (arg === '--lookalike') {
+            options.lookalikeThreshold = parseFloat(argv[++i]);
+        } else if (arg === '--color-tolerance') {
+            options.colorTolerance = parseFloat(argv[++i]);
+        } else if (arg === '--json') {
+            options.json = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    [options.threshold, options.lookalikeThreshold].forEach(value => {
+        if (!(value >= 0 && value <= 1)) throw new Error('Similarity thresholds must be between 0 and 1');
+    });
+    if (!(options.colorTolerance >= 0 && options.colorTolerance <= 255)) {
+        throw new Error('--color-tolerance must be between 0 and 255');
+    }
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function printClusters(title, clusters) {
+    console.log(`\n${title}: ${clusters.length}`);
+    clusters.forEach(cluster => {
+        const traits = cluster.traits ? `  ${cluster.traits}` : '';
+        console.log(`  ${cluster.seeds.join(', ')}  (best ${cluster.similarity.toFixed(3)})${traits}`);
+        cluster.pairs.forEach(pair => {
+            console.log(`    ${String(pair.seeds[0]).padEnd(7)} ~ ${String(pair.seeds[1]).padEnd(7)} ${pair.similarity.toFixed(3)}  (color difference ${pair.colorDistance})`);
+        });
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        options.seeds = WITNESS_MANIFEST.seeds;
+    }
+    
+    const report = findDuplicates(options.seeds, {
+        threshold: options.threshold,
+        lookalikeThreshold: options.lookalikeThreshold,
+        colorTolerance: options.colorTolerance
+    });
+    
+    console.log(`Fingerprinted ${report.witnesses.length} Witnesses`);
+    printClusters('Near-duplicates (same traits)', report.clusters);
+    printClusters('Lookalikes (different traits, review by eye)', report.lookalikes);
+    
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+        console.log(`\nWrote ${options.json}`);
+    }
+    
+    process.exit(report.clusters.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Forge tool - renders a hand-crafted Witness from a trait spec (see witness-forge.js) and
+// writes its metadata next to the PNG
+//
+// Usage:
+//   node tools/forge-witness.js --from-seed <seed> > spec.json   (full spec of a seed to edit)
+//   node tools/forge-witness.js <spec.json> [options]
+//
+// Options:
+//   --size <px>          Canvas width and height (default 300)
+//   --frame <n>          Free-running frame to capture, 1 = first frame drawn (default 1)
+//   --time <t>           Animation time to capture (overrides --frame)
+//   --transparent        Use the transparent render preset (no background)
+//   --out <dir>          Output directory (default ./renders); writes <spec name>.png and .json
+
+const fs = require('fs');
+const path = require('path');
+const { Eyeball } = require('../eyeball-generator-native.js');
+const { RasterBackend } = require('../eyeball-raster.js');
+const { forgeEyeball, eyeballSpec } = require('../witness-forge.js');
+require('../witness-palettes.js'); // So specs can use the palette editions
+
+function parseArgs(argv) {
+    const options = {
+        spec: null,
+        fromSeed: null,
+        size: 300,
+        frame: 1,
+        time: null,
+        transparent: false,
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from-seed') {
+            options.fromSeed = parseInt(argv[++i]);
+        } else if (arg === '--size') {
+            options.size = parseInt(argv[++i]);
+        } else if (arg === '--frame') {
+            options.frame = parseInt(argv[++i]);
+        } else if (arg === '--time') {
+            options.time = parseFloat(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.transparent = true;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.spec = arg;
+        }
+    }
+    
+    if (options.fromSeed !== null && !Number.isInteger(options.fromSeed)) throw new Error('--from-seed must be an integer');
+    if (!(options.size > 0)) throw new Error('--size must be a positive integer');
+    if (!(options.frame >= 1)) throw new Error('--frame must be 1 or more');
+    if (options.time !== null && !isFinite(options.time)) throw new Error('--time must be a number');
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.fromSeed !== null) {
+        console.log(JSON.stringify(eyeballSpec(new Eyeball(options.fromSeed)), null, 2));
+        return;
+    }
+    if (!options.spec) {
+        console.error('Usage: node tools/forge-witness.js <spec.json> [--size px] [--frame n | --time t] [--transparent] [--out dir]');
+        console.error('       node tools/forge-witness.js --from-seed <seed>');
+        process.exit(1);
+    }
+    
+    const spec = JSON.parse(fs.readFileSync(options.spec, 'utf8'));
+    const preset = options.transparent ? 'transparent' : 'native';
+    const eyeball = forgeEyeball(spec, options.size, options.size, { preset, scale: 'relative' });
+    const backend = new RasterBackend(options.size, options.size);
+    eyeball.draw(backend, options.time !== null ? options.time : eyeball.frameTime(options.frame));
+    
+    const name = path.basename(options.spec, path.extname(options.spec));
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(path.join(options.out, `${name}.png`), backend.toPNG());
+    fs.writeFileSync(path.join(options.out, `${name}.json`), JSON.stringify({
+        spec: eyeballSpec(eyeball),
+        attributes: eyeball.metadata.traits
+    }, null, 2));
+    console.log(`${path.join(options.out, name)}.png / .json`);
+    eyeball.metadata.traits.forEach(trait => console.log(`  ${trait.name}: ${trait.value}`));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
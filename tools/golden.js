@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+// Golden-image regression harness - makes sure engine changes don't change anybody's Witness
+//
+// golden/fixtures.json (checked in) holds, for every curated seed, its display traits and a
+// hash of the frame rendered for each case below. A check re-renders everything and fails
+// if any trait or frame hash differs, with a visual report in golden/report/index.html.
+//
+// The report needs the old images, which are kept locally in golden/images/ (git-ignored):
+// --update writes them, and a normal run fills in any that are missing for frames that still
+// match. So run the check once on a clean checkout before editing the engine.
+//
+// Usage:
+//   node tools/golden.js [<seed> ...]            Check all fixture seeds (or just these)
+//   node tools/golden.js --update [<seed> ...]   Re-record fixtures (default: the collection manifest)
+//
+// Options:
+//   --seed-file <path>   JSON array of seeds, or a text file with one seed per line
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Eyeball } = require('../eyeball-generator-native.js');
+const { RasterBackend, encodePNG } = require('../eyeball-raster.js');
+const { WITNESS_MANIFEST } = require('../witness-manifest.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+const FIXTURES_FILE = path.join(GOLDEN_DIR, 'fixtures.json');
+const IMAGES_DIR = path.join(GOLDEN_DIR, 'images');
+const REPORT_DIR = path.join(GOLDEN_DIR, 'report');
+
+// Render settings for new fixtures (a check always uses the settings stored in the fixtures).
+// Cases render in relative scale unless they give their own.
+const GOLDEN_SETTINGS = {
+    size: 128,
+    cases: [
+        { id: 'native-0', preset: 'native', time: 0 },
+        { id: 'native-2.5', preset: 'native', time: 2.5 },
+        { id: 'transparent-2.5', preset: 'transparent', time: 2.5 },
+        // Absolute (legacy) scale keeps its 300px geometry, so this one shows the middle of the eye
+        { id: 'absolute-2.5', preset: 'native', scale: 'absolute', time: 2.5 }
+    ]
+};
+
+function parseArgs(argv) {
+    const options = {
+        update: false,
+        seeds: []
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--update') {
+            options.update = true;
+        } else if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function displayTraits(eyeball) {
+    const traits = {};
+    eyeball.metadata.traits.forEach(trait => {
+        traits[trait.name] = trait.value;
+    });
+    return traits;
+}
+
+function renderCase(seed, settings, testCase) {
+    const eyeball = new Eyeball(seed, settings.size, settings.size, { preset: testCase.preset, scale: testCase.scale || 'relative' });
+    const backend = new RasterBackend(settings.size, settings.size);
+    eyeball.draw(backend, testCase.time);
+    return backend.toRGBA();
+}
+
+function hashPixels(rgba) {
+    return crypto.createHash('sha1').update(rgba).digest('hex').slice(0, 16);
+}
+
+function imagePath(seed, caseId) {
+    return path.join(IMAGES_DIR, `${seed}_${caseId}.png`);
+}
+
+// Reads back the PNGs written by encodePNG (8-bit RGBA, filter type 0 on every row)
+function decodePNG(file) {
+    const png = fs.readFileSync(file);
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    const idat = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        if (png.toString('latin1', offset + 4, offset + 8) === 'IDAT') {
+            idat.push(png.subarray(offset + 8, offset + 8 + length));
+        }
+        offset += length + 12;
+    }
+    
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * 4;
+    const rgba = new Uint8ClampedArray(stride * height);
+    for (let y = 0; y < height; y++) {
+        if (raw[y * (stride + 1)] !== 0) throw new Error(`${file}: unsupported PNG filter`);
+        rgba.set(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)), y * stride);
+    }
+    return { width, height, rgba };
+}
+
+// Reference | current | diff, side by side. Changed pixels are red on a dimmed copy of the current frame.
+function diffImage(reference, current, size) {
+    const out = new Uint8ClampedArray(size * 3 * size * 4);
+    let changed = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y * size + x) * 4;
+            const row = y * size * 3;
+            out.set(reference.subarray(i, i + 4), (row + x) * 4);
+            out.set(current.subarray(i, i + 4), (row + size + x) * 4);
+            
+            const d = (row + size * 2 + x) * 4;
+            const same = reference[i] === current[i] && reference[i + 1] === current[i + 1] &&
+                reference[i + 2] === current[i + 2] && reference[i + 3] === current[i + 3];
+            if (same) {
+                const grey = (current[i] + current[i + 1] + current[i + 2]) / 3 * current[i + 3] / 255;
+                out[d] = out[d + 1] = out[d + 2] = grey * 0.3;
+            } else {
+                out[d] = 255;
+                changed++;
+            }
+            out[d + 3] = 255;
+        }
+    }
+    return { png: encodePNG(size * 3, size, out), changed };
+}
+
+// One seed per line so fixture changes show up as readable git diffs
+function writeFixtures(fixtures) {
+    const seeds = Object.keys(fixtures.witnesses);
+    const lines = seeds.map((seed, i) => {
+        return `    ${JSON.stringify(seed)}: ${JSON.stringify(fixtures.witnesses[seed])}${i < seeds.length - 1 ? ',' : ''}`;
+    });
+    const text = '{\n' +
+        `  "settings": ${JSON.stringify(fixtures.settings)},\n` +
+        '  "witnesses": {\n' + lines.join('\n') + '\n  }\n}\n';
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(FIXTURES_FILE, text);
+}
+
+function update(seeds) {
+    const unique = [...new Set(seeds.length > 0 ? seeds : WITNESS_MANIFEST.seeds)];
+    const fixtures = fs.existsSync(FIXTURES_FILE) && seeds.length > 0
+        ? JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'))
+        : { settings: GOLDEN_SETTINGS, witnesses: {} };
+    fs.mkdirSync(IMAGES_DIR, { recursive: true });
+    
+    unique.forEach(seed => {
+        const frames = {};
+        fixtures.settings.cases.forEach(testCase => {
+            const rgba = renderCase(seed, fixtures.settings, testCase);
+            frames[testCase.id] = hashPixels(rgba);
+            fs.writeFileSync(imagePath(seed, testCase.id), encodePNG(fixtures.settings.size, fixtures.settings.size, rgba));
+        });
+        fixtures.witnesses[seed] = { traits: displayTraits(new Eyeball(seed)), frames };
+    });
+    
+    writeFixtures(fixtures);
+    console.log(`Recorded ${unique.length} seeds x ${fixtures.settings.cases.length} frames in ${path.relative(process.cwd(), FIXTURES_FILE)}`);
+}
+
+function check(seeds) {
+    if (!fs.existsSync(FIXTURES_FILE)) {
+        throw new Error('No golden fixtures yet - run node tools/golden.js --update');
+    }
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+    const settings = fixtures.settings;
+    const checked = seeds.length > 0 ? [...new Set(seeds)] : Object.keys(fixtures.witnesses).map(Number);
+    fs.mkdirSync(IMAGES_DIR, { recursive: true });
+    
+    const failures = [];
+    checked.forEach(seed => {
+        const golden = fixtures.witnesses[seed];
+        if (!golden) {
+            throw new Error(`Seed ${seed} has no fixture - record it with --update ${seed}`);
+        }
+        
+        const failure = { seed, traits: [], frames: [] };
+        const traits = displayTraits(new Eyeball(seed));
+        new Set([...Object.keys(golden.traits), ...Object.keys(traits)]).forEach(name => {
+            if (golden.traits[name] !== traits[name]) {
+                failure.traits.push({ name, expected: golden.traits[name], actual: traits[name] });
+            }
+        });
+        
+        settings.cases.forEach(testCase => {
+            const rgba = renderCase(seed, settings, testCase);
+            const reference = imagePath(seed, testCase.id);
+            if (hashPixels(rgba) === golden.frames[testCase.id]) {
+                if (!fs.existsSync(reference)) {
+                    fs.writeFileSync(reference, encodePNG(settings.size, settings.size, rgba));
+                }
+                return;
+            }
+            failure.frames.push({ id: testCase.id, rgba, reference: fs.existsSync(reference) ? reference : null });
+        });
+        
+        if (failure.traits.length > 0 || failure.frames.length > 0) {
+            failures.push(failure);
+        }
+    });
+    
+    if (failures.length === 0) {
+        console.log(`All ${checked.length} seeds match their golden traits and frames`);
+        return true;
+    }
+    
+    writeReport(failures, settings);
+    failures.forEach(failure => {
+        const parts = [];
+        if (failure.traits.length > 0) parts.push(`traits: ${failure.traits.map(t => t.name).join(', ')}`);
+        if (failure.frames.length > 0) parts.push(`frames: ${failure.frames.map(f => f.id).join(', ')}`);
+        console.error(`  ${String(failure.seed).padEnd(7)} ${parts.join('; ')}`);
+    });
+    console.error(`${failures.length} of ${checked.length} seeds changed - see ${path.relative(process.cwd(), path.join(REPORT_DIR, 'index.html'))}`);
+    return false;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function writeReport(failures, settings) {
+    fs.rmSync(REPORT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    
+    const sections = failures.map(failure => {
+        const traitRows = failure.traits.map(trait => {
+            return `<tr><td>${escapeHtml(trait.name)}</td><td>${escapeHtml(trait.expected)}</td><td>${escapeHtml(trait.actual)}</td></tr>`;
+        }).join('\n');
+        const traitTable = traitRows
+            ? `<table><tr><th>Trait</th><th>Golden</th><th>Now</th></tr>\n${traitRows}</table>`
+            : '';
+        
+        const frames = failure.frames.map(frame => {
+            const file = `${failure.seed}_${frame.id}.png`;
+            if (!frame.reference) {
+                fs.writeFileSync(path.join(REPORT_DIR, file), encodePNG(settings.size, settings.size, frame.rgba));
+                return `<figure><img src="${file}"><figcaption>${frame.id}: now (no local reference image to diff against)</figcaption></figure>`;
+            }
+            const reference = decodePNG(frame.reference).rgba;
+            const diff = diffImage(reference, frame.rgba, settings.size);
+            fs.writeFileSync(path.join(REPORT_DIR, file), diff.png);
+            return `<figure><img src="${file}"><figcaption>${frame.id}: golden | now | diff (${diff.changed} pixels changed)</figcaption></figure>`;
+        }).join('\n');
+        
+        return `<section><h2>Seed ${failure.seed}</h2>\n${traitTable}\n${frames}</section>`;
+    }).join('\n');
+    
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Witness golden report</title>
+<style>
+body { background: #111; color: #ddd; font-family: monospace; }
+img { image-rendering: pixelated; width: ${settings.size * 6}px; }
+table { border-collapse: collapse; margin: 8px 0; }
+td, th { border: 1px solid #444; padding: 2px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${failures.length} changed seeds</h1>
+${sections}
+</body>
+</html>
+`;
+    fs.writeFileSync(path.join(REPORT_DIR, 'index.html'), html);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.update) {
+        update(options.seeds);
+    } else if (!check(options.seeds)) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
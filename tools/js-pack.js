@@ -0,0 +1,611 @@
+// Small JavaScript packer for the inscription builds: tokenizer, tree shaking (top-level
+// declarations and class methods) and a minifier that strips comments and whitespace and
+// shortens local variable names. Nothing else is renamed or rewritten, so the output runs
+// exactly like the source and keeps its top-level names, properties and methods.
+//
+// It only has to understand the repo's own classic scripts: top-level function, class and
+// const/let/var declarations, "Name.prop = ..." assignments and plain statements, with
+// semicolons. Line breaks are kept wherever automatic semicolon insertion could depend on them.
+
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=',
+    '%=', '&=', '|=', '^=', '<<', '>>', '**'
+];
+
+// Keywords after which a "/" starts a regex rather than a division
+const REGEX_AFTER = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+const WORD_CHAR = /[A-Za-z0-9_$]/;
+
+function regexAllowed(previous) {
+    if (!previous) return true;
+    if (previous.type === 'punct') return ![')', ']', '}'].includes(previous.text);
+    return previous.type === 'name' && REGEX_AFTER.includes(previous.text);
+}
+
+function lineOf(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+// Read the token starting at source[i] (not whitespace). Returns { type, end } where type is
+// name, num, str, template, regex, punct or comment. Template literals, including their ${}
+// parts, are a single token.
+function readToken(source, i, previous) {
+    const c = source[i];
+    const fail = message => {
+        throw new Error(`${message} on line ${lineOf(source, i)}`);
+    };
+    
+    if (c === '/' && source[i + 1] === '/') {
+        const end = source.indexOf('\n', i);
+        return { type: 'comment', end: end < 0 ? source.length : end };
+    }
+    if (c === '/' && source[i + 1] === '*') {
+        const end = source.indexOf('*/', i + 2);
+        if (end < 0) fail('Unterminated comment');
+        return { type: 'comment', end: end + 2 };
+    }
+    if (c === '"' || c === "'") {
+        let j = i + 1;
+        while (source[j] !== c) {
+            if (j >= source.length || source[j] === '\n') fail('Unterminated string');
+            j += source[j] === '\\' ? 2 : 1;
+        }
+        return { type: 'str', end: j + 1 };
+    }
+    if (c === '`') {
+        return { type: 'template', end: templateEnd(source, i, fail) };
+    }
+    if (c === '/' && regexAllowed(previous)) {
+        let j = i + 1;
+        let inClass = false;
+        while (inClass || source[j] !== '/') {
+            if (j >= source.length || source[j] === '\n') fail('Unterminated regex');
+            if (source[j] === '\\') j++;
+            else if (source[j] === '[') inClass = true;
+            else if (source[j] === ']') inClass = false;
+            j++;
+        }
+        j++;
+        while (j < source.length && /[a-z]/.test(source[j])) j++;
+        return { type: 'regex', end: j };
+    }
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[i + 1]))) {
+        const match = source.slice(i, i + 64).match(/^(0[xXbBoO][0-9a-fA-F_]+n?|\d*\.?\d*([eE][+-]?\d+)?n?)/);
+        return { type: 'num', end: i + match[0].length };
+    }
+    if (/[A-Za-z_$]/.test(c)) {
+        let j = i;
+        while (j < source.length && WORD_CHAR.test(source[j])) j++;
+        return { type: 'name', end: j };
+    }
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+    return { type: 'punct', end: i + (punctuator ? punctuator.length : 1) };
+}
+
+// Index just past the template literal that starts at source[i]. onExpression(start, end)
+// is called with the bounds of every ${} expression in it.
+function templateEnd(source, i, fail, onExpression) {
+    let j = i + 1;
+    while (source[j] !== '`') {
+        if (j >= source.length) fail('Unterminated template literal');
+        if (source[j] === '\\') {
+            j += 2;
+        } else if (source[j] === '$' && source[j + 1] === '{') {
+            // Walk the expression token by token until its closing brace
+            let depth = 1;
+            let previous = { type: 'punct', text: '{' };
+            j += 2;
+            const start = j;
+            while (depth > 0) {
+                if (j >= source.length) fail('Unterminated template expression');
+                if (/\s/.test(source[j])) {
+                    j++;
+                    continue;
+                }
+                const token = readToken(source, j, previous);
+                const text = source.slice(j, token.end);
+                if (text === '{') depth++;
+                if (text === '}') depth--;
+                if (token.type !== 'comment') previous = { type: token.type, text };
+                j = token.end;
+            }
+            if (onExpression) onExpression(start, j - 1);
+        } else {
+            j++;
+        }
+    }
+    return j + 1;
+}
+
+// Source of every ${} expression in a template literal token
+function templateExpressions(text) {
+    const expressions = [];
+    templateEnd(text, 0, message => {
+        throw new Error(message);
+    }, (start, end) => expressions.push(text.slice(start, end)));
+    return expressions;
+}
+
+// All tokens of a source: { type, text, newline }, where newline says a line break came before it
+function tokenize(source) {
+    const tokens = [];
+    let newline = false;
+    let previous = null;
+    let i = 0;
+    
+    while (i < source.length) {
+        if (/\s/.test(source[i])) {
+            if (source[i] === '\n') newline = true;
+            i++;
+            continue;
+        }
+        const { type, end } = readToken(source, i, previous);
+        const token = { type, text: source.slice(i, end), newline };
+        i = end;
+        if (type === 'comment') {
+            if (token.text.includes('\n')) newline = true;
+            continue;
+        }
+        tokens.push(token);
+        previous = token;
+        newline = false;
+    }
+    return tokens;
+}
+
+// Top-level statements of a token list: [{ tokens, defines, owner, references }]
+//   defines     names declared by the statement (function, class, const/let/var)
+//   owner       for "Name.prop = ..." statements, the Name they extend
+//   references  every other name used in the statement (property names after "." left out)
+function splitStatements(tokens) {
+    const statements = [];
+    let i = 0;
+    
+    while (i < tokens.length) {
+        const start = i;
+        const first = tokens[i].text;
+        const isBlock = first === 'function' || first === 'class' ||
+            (first === 'async' && tokens[i + 1] && tokens[i + 1].text === 'function');
+        const isIf = first === 'if';
+        let depth = 0;
+        
+        for (; i < tokens.length; i++) {
+            const text = tokens[i].type === 'punct' ? tokens[i].text : '';
+            if (text === '(' || text === '[' || text === '{') depth++;
+            if (text === ')' || text === ']' || text === '}') depth--;
+            if (depth !== 0) continue;
+            if (text === ';') break;
+            if (text === '}' && isBlock) break;
+            if (text === '}' && isIf && !(tokens[i + 1] && tokens[i + 1].text === 'else')) break;
+        }
+        i++;
+        
+        const statementTokens = tokens.slice(start, i);
+        const defines = [];
+        let owner = null;
+        if (isBlock) {
+            defines.push(statementTokens[first === 'async' ? 2 : 1].text);
+        } else if (['const', 'let', 'var'].includes(first) && statementTokens[1].type === 'name') {
+            defines.push(statementTokens[1].text);
+        } else if (statementTokens[0].type === 'name' && statementTokens[1] && statementTokens[1].text === '.') {
+            owner = first;
+        }
+        
+        const references = new Set();
+        statementTokens.forEach((token, index) => {
+            const afterDot = index > 0 && (statementTokens[index - 1].text === '.' || statementTokens[index - 1].text === '?.');
+            if (token.type === 'name' && !afterDot) references.add(token.text);
+            if (token.type === 'template') {
+                templateExpressions(token.text).forEach(expression => {
+                    splitStatements(tokenize(expression)).forEach(inner => inner.references.forEach(name => references.add(name)));
+                });
+            }
+        });
+        defines.forEach(name => references.delete(name));
+        
+        statements.push({ tokens: statementTokens, defines, owner, references });
+    }
+    return statements;
+}
+
+// The CommonJS export block at the end of every module is Node-only
+function isExportBlock(statement) {
+    const texts = statement.tokens.map(token => token.text);
+    return texts[0] === 'if' && texts.includes('module') && texts.includes('exports');
+}
+
+// Keep only the top-level statements reachable from the entry code. Statements that don't
+// declare anything (besides "Name.prop = ..." extensions) always stay, as they may have side effects.
+// Returns { tokens, removed } where removed lists the names that were dropped.
+function treeShake(sourceTokens, entryTokens) {
+    const statements = splitStatements(sourceTokens).filter(statement => !isExportBlock(statement));
+    const byName = new Map();
+    statements.forEach(statement => {
+        statement.defines.forEach(name => byName.set(name, statement));
+    });
+    
+    const kept = new Set();
+    const queue = [];
+    const use = name => {
+        const statement = byName.get(name);
+        if (statement && !kept.has(statement)) {
+            kept.add(statement);
+            queue.push(statement);
+        }
+    };
+    
+    splitStatements(entryTokens).forEach(statement => statement.references.forEach(use));
+    statements.forEach(statement => {
+        if (statement.defines.length === 0 && !statement.owner) {
+            kept.add(statement);
+            queue.push(statement);
+        }
+    });
+    
+    while (queue.length > 0) {
+        const statement = queue.pop();
+        statement.references.forEach(use);
+        // Extensions of a kept name come along with it
+        statements.forEach(other => {
+            if (other.owner && !kept.has(other) && statement.defines.includes(other.owner)) {
+                kept.add(other);
+                queue.push(other);
+            }
+        });
+    }
+    
+    const result = statements.filter(statement => kept.has(statement));
+    const removed = [];
+    statements.forEach(statement => {
+        if (!kept.has(statement)) removed.push(...(statement.defines.length ? statement.defines : [`${statement.owner}.*`]));
+    });
+    removed.push(...shakeMethods(result, entryTokens));
+    return { tokens: [].concat(...result.map(statement => statement.tokens)), removed };
+}
+
+// Methods of a class statement: [{ name, start, end }] as token indexes, or null if the body
+// has anything but methods
+function classMethods(tokens) {
+    const methods = [];
+    let i = tokens.findIndex(token => token.text === '{') + 1;
+    while (i < tokens.length - 1) {
+        const start = i;
+        while (['static', 'async', 'get', 'set', '*'].includes(tokens[i].text) && tokens[i + 1].text !== '(') i++;
+        if (tokens[i].type !== 'name' || tokens[i + 1].text !== '(') return null;
+        const name = tokens[i].text;
+        
+        let depth = 0;
+        let body = false;
+        for (i++; i < tokens.length; i++) {
+            const text = tokens[i].type === 'punct' ? tokens[i].text : '';
+            if (text === '(' || text === '[' || text === '{') depth++;
+            if (text === ')' || text === ']' || text === '}') depth--;
+            if (text === '{' && depth === 1) body = true;
+            if (body && depth === 0) break;
+        }
+        methods.push({ name, start, end: ++i });
+    }
+    return methods;
+}
+
+// Drops class methods whose name never comes up anywhere else in the kept code or the entry code,
+// as a name or inside a string (this[layer.method] calls look them up by name). Repeats until
+// nothing more goes, since a dropped method may have been the only caller of another.
+// Returns the Class.method names removed.
+function shakeMethods(statements, entryTokens) {
+    const words = token => token.type === 'name' ? [token.text] : ['str', 'template'].includes(token.type) ? token.text.match(/[A-Za-z_$][\w$]*/g) || [] : [];
+    const count = (counts, tokens, step) => tokens.forEach(token => words(token).forEach(word => {
+        counts.set(word, (counts.get(word) || 0) + step);
+    }));
+    const counts = new Map();
+    count(counts, entryTokens, 1);
+    statements.forEach(statement => count(counts, statement.tokens, 1));
+    
+    const removed = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        statements.forEach(statement => {
+            if (statement.tokens[0].text !== 'class') return;
+            const methods = classMethods(statement.tokens);
+            if (!methods) return;
+            for (let m = methods.length - 1; m >= 0; m--) {
+                const method = methods[m];
+                if (method.name === 'constructor') continue;
+                const own = new Map();
+                count(own, statement.tokens.slice(method.start, method.end), 1);
+                if (counts.get(method.name) > own.get(method.name)) continue;
+                
+                count(counts, statement.tokens.slice(method.start, method.end), -1);
+                statement.tokens = statement.tokens.slice(0, method.start).concat(statement.tokens.slice(method.end));
+                removed.push(`${statement.defines[0]}.${method.name}`);
+                changed = true;
+            }
+        });
+    }
+    return removed;
+}
+
+// Keywords, and globals a script may use without declaring them: never renamed, never used as
+// a new name
+const RESERVED = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'async', 'of', 'get', 'set',
+    'arguments', 'eval', 'implements', 'interface', 'package', 'private', 'protected', 'public',
+    'window', 'document', 'location', 'navigator', 'fetch', 'requestAnimationFrame', 'module', 'require', 'exports'
+].concat(Object.getOwnPropertyNames(globalThis)));
+
+// Closing bracket index for every opening bracket index
+function bracketPairs(tokens) {
+    const pairs = new Map();
+    const open = [];
+    tokens.forEach((token, i) => {
+        if (token.type !== 'punct') return;
+        if (['(', '[', '{'].includes(token.text)) open.push(i);
+        if ([')', ']', '}'].includes(token.text)) pairs.set(open.pop(), i);
+    });
+    return pairs;
+}
+
+// Index of the last token of the expression starting at tokens[i] (stops before , ; or a closing bracket)
+function expressionEnd(tokens, i, pairs) {
+    for (; i + 1 < tokens.length && ![',', ';', ')', ']', '}'].includes(tokens[i + 1].text); i++) {
+        if (pairs.has(i + 1)) i = pairs.get(i + 1) - 1;
+    }
+    return i;
+}
+
+// Binding names of a parameter list or destructuring pattern between tokens[start] and tokens[end]
+function patternNames(tokens, start, end, pairs, names) {
+    for (let k = start + 1; k < end; k++) {
+        if (tokens[k].text === '=') k = expressionEnd(tokens, k, pairs);
+        else if (tokens[k].type === 'name' && tokens[k + 1].text !== ':') names.add(tokens[k].text);
+    }
+}
+
+// Names declared by the const/let/var at tokens[i]: each declarator is a name or a pattern,
+// then maybe "= value", up to the next comma
+function declaratorNames(tokens, i, pairs, names) {
+    for (let k = i + 1; k < tokens.length; k++) {
+        if (pairs.has(k)) {
+            patternNames(tokens, k, pairs.get(k), pairs, names);
+            k = pairs.get(k);
+        } else if (tokens[k].type === 'name') {
+            names.add(tokens[k].text);
+        }
+        if (tokens[k + 1] && tokens[k + 1].text === '=') k = expressionEnd(tokens, k + 1, pairs);
+        if (!tokens[k + 1] || tokens[k + 1].text !== ',') break;
+        k++;
+    }
+}
+
+// Names declared anywhere in tokens: const/let/var, function and class names, parameters and catch
+function declaredNames(tokens, names) {
+    const pairs = bracketPairs(tokens);
+    tokens.forEach((token, i) => {
+        const previous = tokens[i - 1] ? tokens[i - 1].text : '';
+        const next = tokens[i + 1] ? tokens[i + 1].text : '';
+        if (token.type === 'template') {
+            templateExpressions(token.text).forEach(expression => declaredNames(tokenize(expression), names));
+        } else if (['const', 'let', 'var'].includes(token.text)) {
+            declaratorNames(tokens, i, pairs, names);
+        } else if (token.type === 'name' && (['function', 'class'].includes(previous) || next === '=>')) {
+            names.add(token.text);
+        } else if (token.text === '(' && pairs.has(i)) {
+            const close = pairs.get(i);
+            const after = tokens[close + 1] ? tokens[close + 1].text : '';
+            const isParams = after === '=>' || previous === 'function' || previous === 'catch' ||
+                (tokens[i - 2] && tokens[i - 2].text === 'function') ||
+                (tokens[i - 1] && tokens[i - 1].type === 'name' && !RESERVED.has(previous) && after === '{');
+            if (isParams) patternNames(tokens, i, close, pairs, names);
+        }
+    });
+    return names;
+}
+
+// Every name in tokens (template expressions included), to keep new names from colliding
+function allNames(tokens, names) {
+    tokens.forEach(token => {
+        if (token.type === 'name') names.add(token.text);
+        if (token.type === 'template') templateExpressions(token.text).forEach(expression => allNames(tokenize(expression), names));
+    });
+    return names;
+}
+
+// Calls visit(index, role) for every name token in tokens that may be a variable: role is
+// 'name', or 'shorthand' for { name } in an object literal or pattern. Property names after
+// "." and object keys are left out. Template tokens are passed to visitTemplate(index).
+function visitVariables(tokens, visit, visitTemplate) {
+    const braces = [];
+    const blockBefore = ['', ')', '=>', ';', '{', '}', 'else', 'try', 'finally', 'do'];
+    tokens.forEach((token, i) => {
+        const previous = tokens[i - 1] ? tokens[i - 1].text : '';
+        const next = tokens[i + 1] ? tokens[i + 1].text : '';
+        if (token.type === 'punct') {
+            if (['(', '[', '{'].includes(token.text)) braces.push(token.text === '{' && !blockBefore.includes(previous) ? 'object' : token.text);
+            if ([')', ']', '}'].includes(token.text)) braces.pop();
+            return;
+        }
+        if (token.type === 'template') {
+            visitTemplate(i);
+            return;
+        }
+        if (token.type !== 'name' || previous === '.' || previous === '?.') return;
+        const inObject = braces[braces.length - 1] === 'object';
+        if (inObject && ['{', ','].includes(previous)) {
+            if (next === ':' || next === '(') return;
+            if ([',', '}', '='].includes(next)) {
+                visit(i, 'shorthand');
+                return;
+            }
+        }
+        if (inObject && ['get', 'set', 'async', 'static', '*'].includes(previous) && next === '(') return;
+        visit(i, 'name');
+    });
+}
+
+// Short names in order: a..z, A..Z, _, $, then two characters and so on
+function shortName(index) {
+    const first = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+    const rest = `${first}0123456789`;
+    let name = first[index % first.length];
+    for (index = Math.floor(index / first.length); index > 0; index = Math.floor((index - 1) / rest.length)) {
+        name += rest[(index - 1) % rest.length];
+    }
+    return name;
+}
+
+// The tokens with every name in renames replaced (shorthand { name } becomes { name: renamed })
+function applyRenames(tokens, renames) {
+    const out = tokens.slice();
+    const inserts = [];
+    visitVariables(tokens, (i, role) => {
+        const renamed = renames.get(tokens[i].text);
+        if (!renamed) return;
+        if (role === 'shorthand') {
+            inserts.push(i);
+        } else {
+            out[i] = { ...tokens[i], text: renamed };
+        }
+    }, i => {
+        out[i] = { ...tokens[i], text: renameInTemplate(tokens[i].text, renames) };
+    });
+    inserts.reverse().forEach(i => {
+        out.splice(i + 1, 0, { type: 'punct', text: ':', newline: false }, { type: 'name', text: renames.get(tokens[i].text), newline: false });
+    });
+    return out;
+}
+
+function renameInTemplate(text, renames) {
+    const expressions = [];
+    templateEnd(text, 0, message => {
+        throw new Error(message);
+    }, (start, end) => expressions.push({ start, end }));
+    let out = text;
+    expressions.reverse().forEach(({ start, end }) => {
+        out = out.slice(0, start) + joinTokens(applyRenames(tokenize(text.slice(start, end)), renames)) + out.slice(end);
+    });
+    return out;
+}
+
+// Renames the variables declared in one function (or top-level statement) to the shortest names
+// free in it. Every use of a name in the scope gets the same new name, inner scopes included, so
+// shadowing stays as it was. Names declared at the top level, globals and keywords stay. Scopes
+// with a switch are left alone, since a case's { block } would pass for an object literal.
+function renameScope(tokens, keep) {
+    if (tokens.some(token => token.text === 'switch')) return tokens;
+    const counts = new Map();
+    const names = declaredNames(tokens, new Set());
+    const count = (name, role) => {
+        if (!names.has(name) || keep.has(name) || RESERVED.has(name)) return;
+        const entry = counts.get(name) || { uses: 0, shorthand: 0 };
+        entry[role === 'shorthand' ? 'shorthand' : 'uses']++;
+        counts.set(name, entry);
+    };
+    const visitTemplate = text => templateExpressions(text).forEach(expression => {
+        const inner = tokenize(expression);
+        visitVariables(inner, (i, role) => count(inner[i].text, role), i => visitTemplate(inner[i].text));
+    });
+    visitVariables(tokens, (i, role) => count(tokens[i].text, role), i => visitTemplate(tokens[i].text));
+    
+    // Most used first, so they get the shortest names; skip any rename that wouldn't save bytes
+    const taken = allNames(tokens, new Set(keep));
+    const renames = new Map();
+    let next = 0;
+    [...counts.entries()].sort((a, b) => (b[1].uses + b[1].shorthand) - (a[1].uses + a[1].shorthand)).forEach(([name, entry]) => {
+        while (taken.has(shortName(next)) || RESERVED.has(shortName(next))) next++;
+        const renamed = shortName(next);
+        if (entry.uses * (name.length - renamed.length) - entry.shorthand * (renamed.length + 1) <= 0) return;
+        renames.set(name, renamed);
+        next++;
+    });
+    return renames.size > 0 ? applyRenames(tokens, renames) : tokens;
+}
+
+// Shortens local variable names function by function, method by method, and in the rest of each
+// top-level statement (callback parameters, block-scoped lets). Top-level names are a script's
+// public surface and stay. So does everything in a class with more than methods in it, and in a
+// top-level block with var or function declarations, which would be globals.
+function renameLocals(tokens) {
+    const statements = splitStatements(tokens);
+    const keep = new Set();
+    statements.forEach(statement => {
+        statement.defines.forEach(name => keep.add(name));
+        if (['const', 'let', 'var'].includes(statement.tokens[0].text)) {
+            declaratorNames(statement.tokens, 0, bracketPairs(statement.tokens), keep);
+        }
+    });
+    
+    return [].concat(...statements.map(statement => {
+        const first = statement.tokens[0].text;
+        const paramsAt = start => statement.tokens.findIndex((token, i) => i >= start && token.text === '(');
+        const scope = (start, end) => statement.tokens.slice(0, start)
+            .concat(renameScope(statement.tokens.slice(start, end), keep), statement.tokens.slice(end));
+        if (first === 'function' || first === 'async') {
+            return scope(paramsAt(0), statement.tokens.length);
+        }
+        if (first === 'class') {
+            const methods = classMethods(statement.tokens);
+            if (!methods) return statement.tokens;
+            let out = statement.tokens;
+            methods.slice().reverse().forEach(method => {
+                const start = paramsAt(method.start);
+                out = out.slice(0, start).concat(renameScope(out.slice(start, method.end), keep), out.slice(method.end));
+            });
+            return out;
+        }
+        const declaresGlobals = statement.tokens.some((token, i) => {
+            return token.text === 'var' || (token.text === 'function' && statement.tokens[i + 1].type === 'name');
+        });
+        return declaresGlobals ? statement.tokens : scope(0, statement.tokens.length);
+    }));
+}
+
+// Tokens that can end an expression, and tokens that can start one. A line break between the two
+// may be a statement end (automatic semicolon insertion), so it's kept.
+function canEnd(token) {
+    return ['name', 'num', 'str', 'template', 'regex'].includes(token.type) || [')', ']', '}', '++', '--'].includes(token.text);
+}
+
+function canStart(token) {
+    return ['name', 'num', 'str', 'template', 'regex'].includes(token.type) ||
+        ['(', '[', '{', '++', '--', '+', '-', '!', '~', '...'].includes(token.text);
+}
+
+// Join tokens back into code with as little whitespace as possible
+function joinTokens(tokens) {
+    let out = '';
+    tokens.forEach((token, index) => {
+        const previous = tokens[index - 1];
+        if (previous) {
+            const last = previous.text[previous.text.length - 1];
+            const first = token.text[0];
+            if (token.newline && canEnd(previous) && canStart(token)) {
+                out += '\n';
+            } else if (WORD_CHAR.test(last) && WORD_CHAR.test(first)) {
+                out += ' ';
+            } else if ((last === '+' || last === '-' || last === '/') && first === last) {
+                out += ' ';
+            } else if (previous.type === 'num' && first === '.' && !previous.text.includes('.')) {
+                out += ' ';
+            }
+        }
+        out += token.text;
+    });
+    return out;
+}
+
+// Local variables renamed, then joined
+function minifyTokens(tokens) {
+    return joinTokens(renameLocals(tokens));
+}
+
+function minify(source) {
+    return minifyTokens(tokenize(source));
+}
+
+module.exports = { tokenize, splitStatements, treeShake, minifyTokens, minify };
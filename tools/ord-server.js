@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Local ord stand-in - serves the recursive child template offline
+//
+// Emulates the parts of an ord server the Witness child inscription uses:
+//   /content/<id>               inscription content (engine, seed helpers, manifest, children)
+//   /r/blockheight              latest block height
+//   /r/inscription/<id>         inscription details (JSON)
+//   /r/children/<id>[/<page>]   child inscription IDs of the collection parent, 100 per page
+//   /r/sat/<number>[/<page>]    inscription IDs on a sat (always empty here)
+//   /                           index page linking every child
+//
+// Every local inscription gets a made-up but stable ID (sha256 of its name + "i0"). One child
+// per manifest token is served from inscription/witness.html with the {{...}} placeholders
+// filled in, and the manifest lists those child IDs, so the manifest lookup path is exercised.
+// Open /content/<id>?seed=123 to preview any seed, or an ID that isn't in the manifest
+// (see /r/children) to check the inscription-ID fallback.
+//
+// Usage:
+//   node tools/ord-server.js [--port 8451] [--no-manifest]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { sha256, toHex, utf8Bytes } = require('../witness-seeds.js');
+const { WITNESS_MANIFEST, manifestJSON } = require('../witness-manifest.js');
+
+const ROOT = path.join(__dirname, '..');
+const BLOCK_HEIGHT = 840000;
+const PAGE_SIZE = 100;
+
+function localId(name) {
+    return `${toHex(sha256(utf8Bytes(`local:${name}`)))}i0`;
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: 8451,
+        manifest: true
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i]);
+        } else if (arg === '--no-manifest') {
+            options.manifest = false;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    
+    if (!(options.port > 0)) throw new Error('--port must be a port number');
+    return options;
+}
+
+// Every inscription this server knows about: id -> { contentType, body, parent? }
+function buildInscriptions(options) {
+    const inscriptions = new Map();
+    const ids = {
+        ENGINE_ID: localId('engine'),
+        SEEDS_ID: localId('seeds'),
+        MANIFEST_ID: options.manifest ? localId('manifest') : '{{MANIFEST_ID}}'
+    };
+    const parent = localId('collection');
+    
+    inscriptions.set(ids.ENGINE_ID, {
+        contentType: 'text/javascript',
+        body: fs.readFileSync(path.join(ROOT, 'eyeball-generator-native.js'))
+    });
+    inscriptions.set(ids.SEEDS_ID, {
+        contentType: 'text/javascript',
+        body: fs.readFileSync(path.join(ROOT, 'witness-seeds.js'))
+    });
+    
+    const template = fs.readFileSync(path.join(ROOT, 'inscription', 'witness.html'), 'utf8');
+    const child = Buffer.from(template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => ids[name] || placeholder));
+    
+    // One child per token, plus a few that aren't in the manifest
+    const childIds = [];
+    const tokenIds = {};
+    WITNESS_MANIFEST.seeds.forEach((seed, index) => {
+        tokenIds[index + 1] = localId(`token:${index + 1}`);
+        childIds.push(tokenIds[index + 1]);
+    });
+    for (let i = 1; i <= 3; i++) {
+        childIds.push(localId(`unlisted:${i}`));
+    }
+    childIds.forEach(id => {
+        inscriptions.set(id, { contentType: 'text/html;charset=utf-8', body: child, parent });
+    });
+    
+    if (options.manifest) {
+        const manifest = manifestJSON({ ...WITNESS_MANIFEST, inscriptions: tokenIds });
+        inscriptions.set(ids.MANIFEST_ID, {
+            contentType: 'application/json',
+            body: Buffer.from(JSON.stringify(manifest))
+        });
+    }
+    
+    inscriptions.set(parent, {
+        contentType: 'text/plain;charset=utf-8',
+        body: Buffer.from(`${WITNESS_MANIFEST.name} collection parent`)
+    });
+    
+    return { inscriptions, childIds, parent };
+}
+
+function inscriptionDetails(id, inscription, number) {
+    const txid = id.slice(0, 64);
+    return {
+        charms: [],
+        content_length: inscription.body.length,
+        content_type: inscription.contentType,
+        effective_content_type: inscription.contentType,
+        fee: 0,
+        height: BLOCK_HEIGHT,
+        id,
+        number,
+        output: `${txid}:0`,
+        parents: inscription.parent ? [inscription.parent] : [],
+        sat: null,
+        satpoint: `${txid}:0:0`,
+        timestamp: 1713571767,
+        value: 546
+    };
+}
+
+function page(ids, pageIndex) {
+    const start = pageIndex * PAGE_SIZE;
+    return {
+        ids: ids.slice(start, start + PAGE_SIZE),
+        more: start + PAGE_SIZE < ids.length,
+        page: pageIndex
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { inscriptions, childIds, parent } = buildInscriptions(options);
+    const numbers = new Map([...inscriptions.keys()].map((id, index) => [id, index]));
+    
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+        
+        const send = (status, contentType, body) => {
+            response.writeHead(status, {
+                'Content-Type': contentType,
+                'Access-Control-Allow-Origin': '*'
+            });
+            response.end(body);
+        };
+        const json = value => send(200, 'application/json', JSON.stringify(value));
+        const notFound = () => send(404, 'text/plain', 'not found');
+        
+        if (parts.length === 0) {
+            const links = childIds.map((id, index) => {
+                const label = index < WITNESS_MANIFEST.seeds.length ? `Token ${index + 1}` : `Unlisted ${index + 1 - WITNESS_MANIFEST.seeds.length}`;
+                return `<li><a href="/content/${id}">${label}</a></li>`;
+            }).join('\n');
+            send(200, 'text/html;charset=utf-8', `<!DOCTYPE html><title>Local ord</title><h1>${WITNESS_MANIFEST.name}</h1><ul>\n${links}\n</ul>`);
+        } else if (parts[0] === 'content' && parts.length === 2) {
+            const inscription = inscriptions.get(parts[1]);
+            if (!inscription) return notFound();
+            send(200, inscription.contentType, inscription.body);
+        } else if (parts[0] === 'r' && parts[1] === 'blockheight') {
+            send(200, 'text/plain', String(BLOCK_HEIGHT));
+        } else if (parts[0] === 'r' && parts[1] === 'inscription' && parts.length === 3) {
+            const inscription = inscriptions.get(parts[2]);
+            if (!inscription) return notFound();
+            json(inscriptionDetails(parts[2], inscription, numbers.get(parts[2])));
+        } else if (parts[0] === 'r' && parts[1] === 'children' && (parts.length === 3 || parts.length === 4)) {
+            if (!inscriptions.has(parts[2])) return notFound();
+            json(page(parts[2] === parent ? childIds : [], parseInt(parts[3] || '0')));
+        } else if (parts[0] === 'r' && parts[1] === 'sat' && (parts.length === 3 || parts.length === 4)) {
+            json(page([], parseInt(parts[3] || '0')));
+        } else {
+            notFound();
+        }
+    });
+    
+    server.listen(options.port, () => {
+        console.log(`Local ord server on http://localhost:${options.port}/`);
+        console.log(`  first child: http://localhost:${options.port}/content/${childIds[0]}`);
+        console.log(`  children:    http://localhost:${options.port}/r/children/${parent}`);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// Inscription packager - builds minified, inscription-ready files from inscription/witness.html
+// and reports their size against a byte budget
+//
+// Standalone pages have the engine, the seed helpers and the page script inlined into a single
+// HTML file, tree-shaken (unused top-level code and methods dropped, Node export blocks removed)
+// and minified (comments and whitespace stripped, local variables shortened). The recursive
+// build writes the separate inscriptions the child template loads through /content/. engine.js
+// and seeds.js there are a shared library for any page, so they are only minified, never
+// tree-shaken.
+//
+// Usage:
+//   node tools/package-inscription.js --token 1 --token 2     Standalone page per token, seed inlined
+//   node tools/package-inscription.js --seed 123456           Standalone page for any seed
+//   node tools/package-inscription.js --all-tokens            Standalone page for every manifest token
+//   node tools/package-inscription.js --recursive [--engine-id id] [--seeds-id id] [--manifest-id id]
+//                                                              engine.js, seeds.js, manifest.json and the child page
+//
+// Preview only:
+//   node tools/package-inscription.js --collection            One standalone page with the whole manifest inlined
+//                                                              (picks ?token=n or its own inscription ID). The
+//                                                              manifest alone is about 15KB and grows with every
+//                                                              inscription ID, so this page is never within budget:
+//                                                              its size is reported but doesn't fail the run.
+//                                                              Inscribe the --recursive build for the collection.
+//
+// Options:
+//   --budget <bytes>     Maximum size of each file (default 40000); exits with status 1 if any
+//                        file but the --collection preview is over
+//   --out <dir>          Output directory (default dist/inscription)
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, treeShake, minifyTokens, minify } = require('./js-pack.js');
+const { WITNESS_MANIFEST, manifestJSON } = require('../witness-manifest.js');
+
+const ROOT = path.join(__dirname, '..');
+const TEMPLATE = path.join(ROOT, 'inscription', 'witness.html');
+const ENGINE = path.join(ROOT, 'eyeball-generator-native.js');
+const SEEDS = path.join(ROOT, 'witness-seeds.js');
+
+function parseArgs(argv) {
+    const options = {
+        pages: [],
+        collection: false,
+        recursive: false,
+        ids: {},
+        budget: 40000,
+        out: path.join('dist', 'inscription')
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--token') {
+            options.pages.push(tokenPage(parseInt(argv[++i])));
+        } else if (arg === '--seed') {
+            const seed = parseInt(argv[++i]);
+            if (!Number.isInteger(seed)) throw new Error('--seed must be an integer');
+            options.pages.push({ name: `witness_seed${seed}.html`, seed });
+        } else if (arg === '--all-tokens') {
+            WITNESS_MANIFEST.seeds.forEach((seed, index) => options.pages.push(tokenPage(index + 1)));
+        } else if (arg === '--collection') {
+            options.collection = true;
+        } else if (arg === '--recursive') {
+            options.recursive = true;
+        } else if (arg === '--engine-id') {
+            options.ids.ENGINE_ID = argv[++i];
+        } else if (arg === '--seeds-id') {
+            options.ids.SEEDS_ID = argv[++i];
+        } else if (arg === '--manifest-id') {
+            options.ids.MANIFEST_ID = argv[++i];
+        } else if (arg === '--budget') {
+            options.budget = parseInt(argv[++i]);
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    
+    if (!(options.budget > 0)) throw new Error('--budget must be a positive number of bytes');
+    Object.values(options.ids).forEach(id => {
+        if (!/^[0-9a-f]{64}i\d+$/.test(id)) throw new Error(`Invalid inscription ID "${id}"`);
+    });
+    return options;
+}
+
+function tokenPage(token) {
+    if (!(token >= 1 && token <= WITNESS_MANIFEST.seeds.length)) {
+        throw new Error(`Token ${token} is not in the manifest (1-${WITNESS_MANIFEST.seeds.length})`);
+    }
+    return { name: `witness_token${token}.html`, seed: WITNESS_MANIFEST.seeds[token - 1] };
+}
+
+// The template split into the parts the builds put back together
+function readTemplate() {
+    const html = fs.readFileSync(TEMPLATE, 'utf8').replace(/<!--[\s\S]*?-->/g, '');
+    const script = html.match(/<script>\n([\s\S]*?)<\/script>/);
+    if (!script) throw new Error(`${TEMPLATE}: missing the inline page script`);
+    return {
+        before: html.slice(0, script.index),
+        pageScript: script[1],
+        after: html.slice(script.index + script[0].length)
+    };
+}
+
+function fillPlaceholders(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => values[name] !== undefined ? values[name] : placeholder);
+}
+
+// Collapse the markup and inline CSS; scripts are minified separately
+function minifyHtml(html) {
+    return html
+        .replace(/<style>([\s\S]*?)<\/style>/g, (match, css) => {
+            return `<style>${css.replace(/\s+/g, ' ').replace(/\s*([{};:,])\s*/g, '$1').replace(/;}/g, '}').trim()}</style>`;
+        })
+        .replace(/>\s+</g, '><')
+        .trim();
+}
+
+// Standalone page: engine + seed helpers + (manifest) + page script in one inline script
+function standalonePage(template, values, manifest) {
+    const pageScript = (manifest ? `const WITNESS_MANIFEST_JSON = ${JSON.stringify(manifest)};\n` : '') +
+        fillPlaceholders(template.pageScript, values);
+    const pageTokens = tokenize(pageScript);
+    const library = tokenize(fs.readFileSync(ENGINE, 'utf8')).concat(tokenize(fs.readFileSync(SEEDS, 'utf8')));
+    const shaken = treeShake(library, pageTokens);
+    
+    const markup = minifyHtml(template.before.replace(/<script src="[^"]*"><\/script>/g, '') + '<script></script>' + template.after);
+    return {
+        html: markup.replace('<script></script>', `<script>${minifyTokens(shaken.tokens)};${minifyTokens(pageTokens)}</script>`),
+        removed: shaken.removed
+    };
+}
+
+function build(options) {
+    const template = readTemplate();
+    const files = [];
+    
+    options.pages.forEach(page => {
+        const result = standalonePage(template, { SEED: String(page.seed) }, null);
+        files.push({ name: page.name, content: result.html, removed: result.removed });
+    });
+    
+    if (options.collection) {
+        const result = standalonePage(template, {}, manifestJSON());
+        files.push({ name: 'witness_collection.html', content: result.html, removed: result.removed, preview: true });
+    }
+    
+    if (options.recursive) {
+        const missing = ['ENGINE_ID', 'SEEDS_ID'].filter(name => !options.ids[name]);
+        if (missing.length > 0) {
+            console.warn(`No ${missing.join(' / ')} given: witness.html keeps those placeholders`);
+        }
+        
+        const child = minifyHtml(fillPlaceholders(template.before, options.ids) + '<script></script>' + template.after);
+        files.push({ name: 'engine.js', content: minify(fs.readFileSync(ENGINE, 'utf8')) });
+        files.push({ name: 'seeds.js', content: minify(fs.readFileSync(SEEDS, 'utf8')) });
+        files.push({ name: 'manifest.json', content: JSON.stringify(manifestJSON()) });
+        files.push({
+            name: 'witness.html',
+            content: child.replace('<script></script>', `<script>${minify(fillPlaceholders(template.pageScript, options.ids))}</script>`)
+        });
+    }
+    
+    return files;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.pages.length === 0 && !options.collection && !options.recursive) {
+        console.error('Usage: node tools/package-inscription.js [--token n] [--seed n] [--all-tokens] [--collection] [--recursive] [--budget bytes] [--out dir]');
+        process.exit(1);
+    }
+    
+    const files = build(options);
+    fs.mkdirSync(options.out, { recursive: true });
+    
+    let over = 0;
+    console.log('File                          Bytes   Budget');
+    files.forEach(file => {
+        fs.writeFileSync(path.join(options.out, file.name), file.content);
+        const bytes = Buffer.byteLength(file.content);
+        const share = `${Math.round(bytes / options.budget * 100)}%`;
+        const flag = file.preview ? '  preview, not for inscribing' : bytes > options.budget ? '  OVER BUDGET' : '';
+        if (bytes > options.budget && !file.preview) over++;
+        console.log(`${file.name.padEnd(28)} ${String(bytes).padStart(7)}   ${share.padStart(5)}${flag}`);
+    });
+    // Names dropped from any of the standalone pages, each listed once
+    const removed = new Set([].concat(...files.map(file => file.removed || [])));
+    if (removed.size > 0) {
+        console.log(`Tree-shaken: ${[...removed].join(', ')}`);
+    }
+    console.log(`Wrote ${files.length} files to ${options.out} (budget ${options.budget} bytes each)`);
+    
+    if (over > 0) {
+        console.error(`${over} files over budget`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
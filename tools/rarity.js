@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// Collection rarity report - ranks every Witness in a seed list by statistical rarity
+//
+// Usage:
+//   node tools/rarity.js <seed> [<seed> ...] [options]
+//   node tools/rarity.js --seed-file seeds.json [options]
+//   node tools/rarity.js [options]              (no seeds: the collection in witness-manifest.js)
+//
+// Options:
+//   --seed-file <path>   JSON array of seeds, or a text file with one seed per line
+//   --top <n>            Number of ranked Witnesses to print (default 20, 0 = all)
+//   --trait <id>         Also print the frequency table for one trait (repeatable)
+//   --json <path>        Write the full report (tables, scores, ranks) as JSON
+
+const fs = require('fs');
+const { buildRarity } = require('../witness-rarity.js');
+const { WITNESS_MANIFEST } = require('../witness-manifest.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        top: 20,
+        traits: [],
+        json: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg === '--top') {
+            options.top = parseInt(argv[++i]);
+        } else if (arg === '--trait') {
+            options.traits.push(argv[++i]);
+        } else if (arg === '--json') {
+            options.json = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!(options.top >= 0)) throw new Error('--top must be 0 or more');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function printTable(name, table, total) {
+    console.log(`\n${name}`);
+    Object.keys(table)
+        .sort((a, b) => table[a] - table[b])
+        .forEach(value => {
+            const share = (table[value] / total * 100).toFixed(1);
+            console.log(`  ${value.padEnd(24)} ${String(table[value]).padStart(5)}  ${share.padStart(5)}%`);
+        });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        options.seeds = WITNESS_MANIFEST.seeds;
+    }
+    
+    const report = buildRarity(options.seeds);
+    
+    const shown = options.top === 0 ? report.witnesses : report.witnesses.slice(0, options.top);
+    console.log('Rank  Seed     Score');
+    shown.forEach(witness => {
+        console.log(`${String(witness.rank).padStart(4)}  ${String(witness.seed).padEnd(7)}  ${witness.score.toFixed(2)}`);
+    });
+    
+    options.traits.forEach(trait => {
+        const table = report.tables.traits[trait] || report.tables.combinations[trait];
+        if (!table) throw new Error(`Unknown trait table "${trait}"`);
+        printTable(trait, table, report.size);
+    });
+    
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+        console.log(`\nWrote ${options.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
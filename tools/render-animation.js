@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Headless animation renderer - animated GIF or APNG of a Witness that loops seamlessly, no browser needed
+// (WebM needs MediaRecorder: use exportAnimation(seed, 'webm') in the gallery instead)
+//
+// Usage:
+//   node tools/render-animation.js <seed> [<seed> ...] [options]
+//   node tools/render-animation.js --seed-file seeds.json [options]
+//
+// Options:
+//   --format <gif|apng>  Output format (default gif)
+//   --size <px>          Width and height (default 300)
+//   --fps <n>            Frames per second (default 25)
+//   --period <frames>    Loop period in free-running frames (default: the eye's own, 240-720)
+//   --duration <s>       Free-running export of this many seconds instead of one seamless loop
+//   --start <n>          First free-running frame of the live animation (default 1)
+//   --loop <n>           Times to play, 0 = forever (default 0)
+//   --transparent        Use the transparent render preset (no background)
+//   --out <dir>          Output directory (default ./renders)
+//   --seed-file <path>   JSON array of seeds, or a text file with one seed per line
+
+const fs = require('fs');
+const path = require('path');
+const { encodeAnimation, ANIMATION_FORMATS, ANIMATION_DEFAULTS } = require('../witness-animation.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        format: 'gif',
+        animation: { ...ANIMATION_DEFAULTS },
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg === '--size') {
+            options.animation.size = parseInt(argv[++i]);
+        } else if (arg === '--fps') {
+            options.animation.fps = parseFloat(argv[++i]);
+        } else if (arg === '--period') {
+            options.animation.seamless = parseInt(argv[++i]);
+        } else if (arg === '--duration') {
+            options.animation.seamless = false;
+            options.animation.duration = parseFloat(argv[++i]);
+        } else if (arg === '--start') {
+            options.animation.start = parseInt(argv[++i]);
+        } else if (arg === '--loop') {
+            options.animation.loop = parseInt(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.animation.preset = 'transparent';
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!ANIMATION_FORMATS[options.format]) {
+        throw new Error(`--format must be one of ${Object.keys(ANIMATION_FORMATS).join(', ')}`);
+    }
+    if (!(options.animation.start >= 1)) throw new Error('--start must be 1 or more');
+    if (!(options.animation.loop >= 0)) throw new Error('--loop must be 0 or more');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        console.error('Usage: node tools/render-animation.js <seed> [<seed> ...] [--format gif|apng] [--size px] [--fps n] [--period frames | --duration s] [--start n] [--loop n] [--transparent] [--out dir]');
+        process.exit(1);
+    }
+    
+    fs.mkdirSync(options.out, { recursive: true });
+    options.seeds.forEach(seed => {
+        const animation = encodeAnimation(seed, options.format, options.animation);
+        const file = path.join(options.out, animation.filename);
+        fs.writeFileSync(file, animation.bytes);
+        console.log(`${file} (${animation.bytes.length} bytes)`);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Collection render pipeline - renders every Witness at several sizes in one reproducible run
+// and writes index.json mapping each Witness to its files and traits
+//
+// Files are named <size>/witness_<seed>.png under the output directory, so a run with the same
+// settings always produces the same paths and bytes. settings.json records the render settings
+// before the first file is written. Existing files are kept unless --force, so an interrupted
+// run picks up where it stopped; changing the render settings deletes the old renders first.
+//
+// Usage:
+//   node tools/render-collection.js [options]             (the collection in witness-manifest.js)
+//   node tools/render-collection.js <seed> [<seed> ...] [options]
+//   node tools/render-collection.js --seed-file seeds.json [options]
+//
+// Options:
+//   --sizes <list>       Comma-separated sizes in pixels (default 150,600,2048)
+//   --frame <n>          Free-running frame to capture, 1 = first frame drawn (default 1)
+//   --time <t>           Animation time to capture (overrides --frame)
+//   --transparent        Use the transparent render preset (no background)
+//   --workers <n>        Worker threads (default: CPU count)
+//   --force              Re-render files that already exist
+//   --out <dir>          Output directory (default dist/collection)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Eyeball } = require('../eyeball-generator-native.js');
+const { RasterBackend } = require('../eyeball-raster.js');
+const { WITNESS_MANIFEST, manifestTokens } = require('../witness-manifest.js');
+const { readSeedFile } = require('./cli-utils.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        sizes: [150, 600, 2048],
+        frame: 1,
+        time: null,
+        transparent: false,
+        workers: os.cpus().length,
+        force: false,
+        out: path.join('dist', 'collection')
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--sizes') {
+            options.sizes = argv[++i].split(',').map(Number);
+        } else if (arg === '--frame') {
+            options.frame = parseInt(argv[++i]);
+        } else if (arg === '--time') {
+            options.time = parseFloat(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.transparent = true;
+        } else if (arg === '--workers') {
+            options.workers = parseInt(argv[++i]);
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    options.sizes.forEach(size => {
+        if (!Number.isInteger(size) || size < 1) throw new Error('--sizes must be positive integers');
+    });
+    if (!(options.frame >= 1)) throw new Error('--frame must be 1 or more');
+    if (options.time !== null && !isFinite(options.time)) throw new Error('--time must be a number');
+    if (!(options.workers >= 1)) throw new Error('--workers must be 1 or more');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function renderFile(job) {
+    const eyeball = new Eyeball(job.seed, job.size, job.size, { preset: job.settings.preset, scale: 'relative' });
+    const backend = new RasterBackend(job.size, job.size);
+    const time = job.settings.time !== null ? job.settings.time : eyeball.frameTime(job.settings.frame);
+    eyeball.draw(backend, time);
+    fs.mkdirSync(path.dirname(job.file), { recursive: true });
+    fs.writeFileSync(job.file, backend.toPNG());
+}
+
+// Render a share of the jobs in a worker thread, reporting each finished file
+function runWorker(jobs, onDone) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: jobs });
+        worker.on('message', message => {
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                onDone(message.file);
+            }
+        });
+        worker.once('error', reject);
+        worker.once('exit', resolve);
+    });
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Deletes the renders of earlier runs (<size>/witness_<seed>.png), leaving any other files
+function clearRenders(out) {
+    if (!fs.existsSync(out)) return;
+    fs.readdirSync(out).filter(name => /^\d+$/.test(name)).forEach(name => {
+        const dir = path.join(out, name);
+        if (!fs.statSync(dir).isDirectory()) return;
+        fs.readdirSync(dir)
+            .filter(file => /^witness_-?\d+\.png$/.test(file))
+            .forEach(file => fs.unlinkSync(path.join(dir, file)));
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const witnesses = options.seeds.length > 0
+        ? options.seeds.map((seed, index) => ({ token: index + 1, seed }))
+        : manifestTokens();
+    const settings = {
+        preset: options.transparent ? 'transparent' : 'native',
+        scale: 'relative',
+        frame: options.time !== null ? null : options.frame,
+        time: options.time
+    };
+    
+    // Files from a run with other settings (or no settings.json) can't be reused. They go before
+    // the new settings are written, so whatever a run leaves behind matches settings.json.
+    const indexFile = path.join(options.out, 'index.json');
+    const settingsFile = path.join(options.out, 'settings.json');
+    const previous = readJSON(settingsFile);
+    if (JSON.stringify(previous) !== JSON.stringify(settings)) {
+        if (previous) {
+            console.log('Render settings changed since the last run: rendering everything again');
+        }
+        clearRenders(options.out);
+        if (fs.existsSync(indexFile)) fs.unlinkSync(indexFile);
+        fs.mkdirSync(options.out, { recursive: true });
+        fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2));
+    }
+    
+    // One job per seed and size (repeated seeds share their files)
+    const jobs = [];
+    const planned = new Set();
+    let kept = 0;
+    witnesses.forEach(witness => {
+        options.sizes.forEach(size => {
+            const file = path.join(options.out, String(size), `witness_${witness.seed}.png`);
+            if (planned.has(file)) return;
+            planned.add(file);
+            if (!options.force && fs.existsSync(file)) {
+                kept++;
+            } else {
+                jobs.push({ seed: witness.seed, size, file, settings });
+            }
+        });
+    });
+    
+    const started = Date.now();
+    let done = 0;
+    const onDone = () => {
+        done++;
+        if (done % 50 === 0 || done === jobs.length) {
+            console.log(`${done}/${jobs.length} rendered`);
+        }
+    };
+    if (jobs.length > 0) {
+        // Round robin so every worker gets a mix of small and large sizes
+        const workers = Math.min(options.workers, jobs.length);
+        const shares = Array.from({ length: workers }, () => []);
+        jobs.forEach((job, index) => shares[index % workers].push(job));
+        await Promise.all(shares.map(share => runWorker(share, onDone)));
+    }
+    
+    const index = {
+        collection: WITNESS_MANIFEST.name,
+        settings,
+        sizes: options.sizes,
+        witnesses: witnesses.map(witness => {
+            const files = {};
+            options.sizes.forEach(size => {
+                files[size] = `${size}/witness_${witness.seed}.png`;
+            });
+            return {
+                ...witness,
+                files,
+                traits: new Eyeball(witness.seed).metadata.traits
+            };
+        })
+    };
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(indexFile, JSON.stringify(index, null, 2));
+    
+    const seconds = (Date.now() - started) / 1000;
+    console.log(`${jobs.length} files rendered, ${kept} already there, in ${seconds.toFixed(1)}s; wrote ${indexFile}`);
+}
+
+if (isMainThread) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+} else {
+    workerData.forEach(job => {
+        try {
+            renderFile(job);
+            parentPort.postMessage({ file: job.file });
+        } catch (error) {
+            parentPort.postMessage({ error: `Seed ${job.seed} at ${job.size}px: ${error.message}` });
+        }
+    });
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Headless PNG renderer - draws Witnesses with the software raster backend, no browser needed
+//
+// Usage:
+//   node tools/render-png.js <seed> [<seed> ...] [options]
+//   node tools/render-png.js --seed-file seeds.json [options]
+//
+// Options:
+//   --size <px>          Canvas width and height (default 300)
+//   --frame <n>          Free-running frame to capture, 1 = first frame drawn (default 1)
+//   --time <t>           Animation time to capture (overrides --frame)
+//   --transparent        Use the transparent render preset (no background)
+//   --absolute           Legacy pixel geometry instead of scaling the eye to --size
+//   --out <dir>          Output directory (default ./renders)
+//   --seed-file <path>   JSON array of seeds, or a text file with one seed per line
+//   --manifest           Render every seed in the collection manifest (witness-manifest.js)
+
+const fs = require('fs');
+const path = require('path');
+const { Eyeball } = require('../eyeball-generator-native.js');
+const { RasterBackend } = require('../eyeball-raster.js');
+const { readSeedFile } = require('./cli-utils.js');
+const { WITNESS_MANIFEST } = require('../witness-manifest.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        size: 300,
+        frame: 1,
+        time: null,
+        transparent: false,
+        absolute: false,
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--size') {
+            options.size = parseInt(argv[++i]);
+        } else if (arg === '--frame') {
+            options.frame = parseInt(argv[++i]);
+        } else if (arg === '--time') {
+            options.time = parseFloat(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.transparent = true;
+        } else if (arg === '--absolute') {
+            options.absolute = true;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--seed-file') {
+            options.seeds.push(...readSeedFile(argv[++i]));
+        } else if (arg === '--manifest') {
+            options.seeds.push(...WITNESS_MANIFEST.seeds);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!(options.size > 0)) throw new Error('--size must be a positive integer');
+    if (!(options.frame >= 1)) throw new Error('--frame must be 1 or more');
+    if (options.time !== null && !isFinite(options.time)) throw new Error('--time must be a number');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function renderSeed(seed, options) {
+    const preset = options.transparent ? 'transparent' : 'native';
+    const scale = options.absolute ? 'absolute' : 'relative';
+    const eyeball = new Eyeball(seed, options.size, options.size, { preset, scale });
+    const backend = new RasterBackend(options.size, options.size);
+    
+    const time = options.time !== null ? options.time : eyeball.frameTime(options.frame);
+    eyeball.draw(backend, time);
+    
+    return backend.toPNG();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        console.error('Usage: node tools/render-png.js <seed> [<seed> ...] [--size px] [--frame n | --time t] [--transparent] [--absolute] [--manifest] [--out dir]');
+        process.exit(1);
+    }
+    
+    fs.mkdirSync(options.out, { recursive: true });
+    options.seeds.forEach(seed => {
+        const file = path.join(options.out, `witness_${seed}.png`);
+        fs.writeFileSync(file, renderSeed(seed, options));
+        console.log(file);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
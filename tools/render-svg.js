@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// SVG exporter - writes a standalone vector document of a Witness frame
+//
+// Usage:
+//   node tools/render-svg.js <seed> [<seed> ...] [options]
+//
+// Options:
+//   --time <t>           Animation time to capture (default: the first frame drawn)
+//   --size <px>          Document width and height (default 300)
+//   --transparent        Use the transparent render preset (no background)
+//   --absolute           Legacy pixel geometry instead of scaling the eye to --size
+//   --out <dir>          Output directory (default ./renders)
+//   --manifest           Render every seed in the collection manifest (witness-manifest.js)
+
+const fs = require('fs');
+const path = require('path');
+const { Eyeball } = require('../eyeball-generator-native.js');
+const { SvgBackend } = require('../eyeball-svg.js');
+const { WITNESS_MANIFEST } = require('../witness-manifest.js');
+
+function parseArgs(argv) {
+    const options = {
+        seeds: [],
+        time: null,
+        size: 300,
+        transparent: false,
+        absolute: false,
+        out: 'renders'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--time') {
+            options.time = parseFloat(argv[++i]);
+        } else if (arg === '--size') {
+            options.size = parseInt(argv[++i]);
+        } else if (arg === '--transparent') {
+            options.transparent = true;
+        } else if (arg === '--absolute') {
+            options.absolute = true;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--manifest') {
+            options.seeds.push(...WITNESS_MANIFEST.seeds);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.seeds.push(parseInt(arg));
+        }
+    }
+    
+    if (!(options.size > 0)) throw new Error('--size must be a positive integer');
+    if (options.time !== null && !isFinite(options.time)) throw new Error('--time must be a number');
+    options.seeds.forEach(seed => {
+        if (!Number.isInteger(seed)) throw new Error('Seeds must be integers');
+    });
+    return options;
+}
+
+function renderSeed(seed, options) {
+    const preset = options.transparent ? 'transparent' : 'native';
+    const scale = options.absolute ? 'absolute' : 'relative';
+    const eyeball = new Eyeball(seed, options.size, options.size, { preset, scale });
+    const backend = new SvgBackend(options.size, options.size);
+    
+    const time = options.time !== null ? options.time : eyeball.frameTime(1);
+    eyeball.draw(backend, time);
+    
+    return backend.toSVG();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.seeds.length === 0) {
+        console.error('Usage: node tools/render-svg.js <seed> [<seed> ...] [--time t] [--size px] [--transparent] [--absolute] [--manifest] [--out dir]');
+        process.exit(1);
+    }
+    
+    fs.mkdirSync(options.out, { recursive: true });
+    options.seeds.forEach(seed => {
+        const file = path.join(options.out, `witness_${seed}.svg`);
+        fs.writeFileSync(file, renderSeed(seed, options));
+        console.log(file);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
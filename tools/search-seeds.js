@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Seed search - finds seeds whose traits match a query, across the whole seed space
+//
+// Usage:
+//   node tools/search-seeds.js "<query>" [options]
+//   node tools/search-seeds.js "pupilShape=multiple AND hasLightning AND irisPattern=void"
+//   node tools/search-seeds.js "powers>=4 AND style=demonic" --limit 50
+//
+// Options:
+//   --from <seed>        First seed to scan (default 1)
+//   --to <seed>          Last seed to scan (default 999999)
+//   --workers <n>        Worker threads to split the range across (default: CPU count)
+//   --limit <n>          Stop after this many matches (lowest seeds first)
+//   --json <path>        Write the matching seeds as a JSON array
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseQuery, SEARCH_SEED_MIN, SEARCH_SEED_MAX } = require('../witness-search.js');
+
+function parseArgs(argv) {
+    const options = {
+        query: null,
+        from: SEARCH_SEED_MIN,
+        to: SEARCH_SEED_MAX,
+        workers: os.cpus().length,
+        limit: Infinity,
+        json: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') {
+            options.from = parseInt(argv[++i]);
+        } else if (arg === '--to') {
+            options.to = parseInt(argv[++i]);
+        } else if (arg === '--workers') {
+            options.workers = parseInt(argv[++i]);
+        } else if (arg === '--limit') {
+            options.limit = parseInt(argv[++i]);
+        } else if (arg === '--json') {
+            options.json = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.query === null) {
+            options.query = arg;
+        } else {
+            throw new Error('Quote the query so it is a single argument');
+        }
+    }
+    
+    if (!Number.isInteger(options.from) || !Number.isInteger(options.to) || options.from > options.to) {
+        throw new Error('--from and --to must be integers with from <= to');
+    }
+    if (!(options.workers >= 1)) throw new Error('--workers must be 1 or more');
+    if (!(options.limit >= 1)) throw new Error('--limit must be 1 or more');
+    return options;
+}
+
+// Scan one slice of the range in a worker thread
+function runWorker(job) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, '..', 'witness-search-worker.js'), { workerData: job });
+        worker.once('message', result => {
+            if (result.error) {
+                reject(new Error(result.error));
+            } else {
+                resolve(result);
+            }
+        });
+        worker.once('error', reject);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.query === null) {
+        console.error('Usage: node tools/search-seeds.js "<query>" [--from seed] [--to seed] [--workers n] [--limit n] [--json path]');
+        process.exit(1);
+    }
+    
+    // Fail on a bad query before starting any workers
+    parseQuery(options.query);
+    
+    const total = options.to - options.from + 1;
+    const workers = Math.min(options.workers, total);
+    const chunk = Math.ceil(total / workers);
+    const jobs = [];
+    for (let from = options.from; from <= options.to; from += chunk) {
+        jobs.push({
+            query: options.query,
+            from,
+            to: Math.min(options.to, from + chunk - 1),
+            limit: options.limit === Infinity ? undefined : options.limit
+        });
+    }
+    
+    const started = Date.now();
+    const results = await Promise.all(jobs.map(runWorker));
+    const matches = [].concat(...results.map(result => result.matches)).slice(0, options.limit);
+    const scanned = results.reduce((sum, result) => sum + result.scanned, 0);
+    const seconds = (Date.now() - started) / 1000;
+    
+    matches.forEach(seed => console.log(seed));
+    console.error(`${matches.length} matches, ${scanned} seeds scanned in ${seconds.toFixed(1)}s (${workers} workers)`);
+    
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(matches));
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
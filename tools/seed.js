@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Seed lookup - prints the Eyeball seed for inscription IDs, txids, sat numbers or text
+//
+// Usage:
+//   node tools/seed.js <input> [<input> ...] [options]
+//   node tools/render-png.js $(node tools/seed.js <inscription id>)
+//
+// Inputs are read like the gallery seed box: a plain seed (1-999999), <txid>i<n>, <txid>,
+// sat:<n>, text:<text> or any other text. The options force one kind for every input instead.
+//
+// Options:
+//   --text               Hash every input as text, even if it looks like a seed or an ID
+//   --sat                Every input is a sat number
+//   --verbose            Print "<input> <seed>" instead of just the seed
+
+const {
+    seedFromString,
+    seedFromSat,
+    seedFromInput
+} = require('../witness-seeds.js');
+
+async function main() {
+    const inputs = [];
+    let kind = 'auto';
+    let verbose = false;
+    
+    process.argv.slice(2).forEach(arg => {
+        if (arg === '--text') {
+            kind = 'text';
+        } else if (arg === '--sat') {
+            kind = 'sat';
+        } else if (arg === '--verbose') {
+            verbose = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            inputs.push(arg);
+        }
+    });
+    
+    if (inputs.length === 0) {
+        console.error('Usage: node tools/seed.js <input> [<input> ...] [--text | --sat] [--verbose]');
+        process.exit(1);
+    }
+    
+    inputs.forEach(input => {
+        const seed = kind === 'text' ? seedFromString(input)
+            : kind === 'sat' ? seedFromSat(input)
+            : seedFromInput(input);
+        console.log(verbose ? `${input} ${seed}` : String(seed));
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Manifest check - reports duplicate seeds, out-of-range seeds and supply mismatches
+// in witness-manifest.js. Exits with status 1 when anything is found.
+//
+// Usage:
+//   node tools/validate-manifest.js [--json]
+
+const { WITNESS_MANIFEST, validateManifest } = require('../witness-manifest.js');
+
+async function main() {
+    const json = process.argv.includes('--json');
+    const result = validateManifest(WITNESS_MANIFEST);
+    
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(`${WITNESS_MANIFEST.name}: ${WITNESS_MANIFEST.seeds.length} tokens, supply ${WITNESS_MANIFEST.supply}`);
+        result.problems.forEach(problem => console.log(`  ${problem.type.padEnd(13)} ${problem.message}`));
+        console.log(result.valid ? 'Manifest OK' : `${result.problems.length} problems found`);
+    }
+    
+    process.exit(result.valid ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,412 @@
+// Witness Animation Export
+// Steps Eyeball.draw through a fixed range of animation times and encodes the frames as an
+// animated GIF or APNG (encoders below, no dependencies), or records them to WebM with
+// MediaRecorder in the browser. The same seed and settings always give the same frames.
+//
+// In the browser, load it after the engine and the raster backend (APNG reuses its PNG chunks
+// and deflate, so browser APNGs are compressed the same as Node's):
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="eyeball-raster.js"></script>
+//   <script src="witness-animation.js"></script>
+
+const ANIMATION_DEFAULTS = {
+    size: 300,
+    preset: 'native',
+    fps: 25, // GIF delays are in 1/100 s, so 25 and 50 fps are exact
+    seamless: true, // Export exactly one period of the eye's loop mode (true, or a period in frames)
+    duration: 4, // Seconds, when not seamless
+    start: 1, // First free-running frame, as drawn by the live animation
+    loop: 0 // Times to play: 0 = forever
+};
+
+const LIVE_FPS = 60; // The live pages animate one free-running frame per requestAnimationFrame
+
+function animationSettings(options) {
+    const settings = { ...ANIMATION_DEFAULTS, ...options };
+    if (!(settings.size > 0)) throw new Error('Animation size must be a positive number of pixels');
+    if (!(settings.fps > 0 && settings.fps <= 100)) throw new Error('Animation fps must be between 1 and 100');
+    if (!(settings.duration > 0)) throw new Error('Animation duration must be positive');
+    return settings;
+}
+
+function animationEyeball(seed, settings) {
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    return new EyeballClass(seed, settings.size, settings.size, {
+        preset: settings.preset,
+        scale: 'relative',
+        loop: settings.seamless
+    });
+}
+
+// Animation times of the exported frames: the live animation's timeline, sampled at fps.
+// For a looping eye that's one whole loop period, so the last frame leads back into the first.
+// options.times overrides the range with an explicit list.
+function animationTimes(eyeball, options = {}) {
+    const settings = animationSettings(options);
+    if (settings.times) return settings.times.slice();
+    
+    const frames = eyeball.loopFrames || settings.duration * LIVE_FPS;
+    const count = Math.max(1, Math.round(frames / LIVE_FPS * settings.fps));
+    const step = frames / count;
+    const times = [];
+    for (let i = 0; i < count; i++) {
+        times.push(eyeball.frameTime(settings.start + i * step));
+    }
+    return times;
+}
+
+// Draws every frame and returns { width, height, frames: [RGBA bytes], delay (ms), loop }.
+// Uses a canvas in the browser and the raster backend in Node.
+function renderAnimation(seed, options = {}) {
+    const settings = animationSettings(options);
+    const eyeball = animationEyeball(seed, settings);
+    const size = settings.size;
+    const frames = [];
+    
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        animationTimes(eyeball, settings).forEach(time => {
+            ctx.clearRect(0, 0, size, size);
+            eyeball.draw(ctx, time);
+            frames.push(new Uint8Array(ctx.getImageData(0, 0, size, size).data.buffer));
+        });
+    } else {
+        const RasterClass = typeof RasterBackend !== 'undefined' ? RasterBackend : require('./eyeball-raster.js').RasterBackend;
+        animationTimes(eyeball, settings).forEach(time => {
+            const backend = new RasterClass(size, size);
+            eyeball.draw(backend, time);
+            frames.push(new Uint8Array(backend.toRGBA().buffer));
+        });
+    }
+    
+    return { width: size, height: size, frames, delay: 1000 / settings.fps, loop: settings.loop };
+}
+
+// GIF encoding
+
+// Median cut: splits the sampled colors into up to maxColors boxes, returns their averages
+function medianCutPalette(frames, maxColors) {
+    const total = frames.length * frames[0].length / 4;
+    const stride = Math.max(1, Math.floor(total / 100000)); // Sample about 100k pixels
+    const colors = [];
+    let index = 0;
+    frames.forEach(rgba => {
+        for (let i = 0; i < rgba.length; i += 4, index++) {
+            if (index % stride === 0 && rgba[i + 3] >= 128) {
+                colors.push((rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2]);
+            }
+        }
+    });
+    if (colors.length === 0) return [[0, 0, 0]];
+    
+    const channel = (color, c) => (color >> (16 - c * 8)) & 0xff;
+    const describe = box => {
+        let widest = 0;
+        let range = -1;
+        for (let c = 0; c < 3; c++) {
+            let min = 255;
+            let max = 0;
+            box.forEach(color => {
+                const value = channel(color, c);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+            if (max - min > range) {
+                range = max - min;
+                widest = c;
+            }
+        }
+        return { colors: box, channel: widest, range };
+    };
+    
+    const boxes = [describe(colors)];
+    while (boxes.length < maxColors) {
+        // Split the box with the widest color range
+        let target = null;
+        boxes.forEach(box => {
+            if (box.range > 0 && (!target || box.range > target.range)) target = box;
+        });
+        if (!target) break;
+        
+        const sorted = target.colors.slice().sort((a, b) => channel(a, target.channel) - channel(b, target.channel));
+        const middle = Math.floor(sorted.length / 2);
+        boxes.splice(boxes.indexOf(target), 1, describe(sorted.slice(0, middle)), describe(sorted.slice(middle)));
+    }
+    
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        box.colors.forEach(color => {
+            for (let c = 0; c < 3; c++) sum[c] += channel(color, c);
+        });
+        return sum.map(value => Math.round(value / box.colors.length));
+    });
+}
+
+// Palette indices of a frame (nearest color; transparent pixels get transparentIndex)
+function indexFrame(rgba, palette, transparentIndex, cache) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+        if (rgba[i + 3] < 128 && transparentIndex >= 0) {
+            indices[p] = transparentIndex;
+            continue;
+        }
+        const key = (rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2];
+        let best = cache.get(key);
+        if (best === undefined) {
+            let bestDistance = Infinity;
+            palette.forEach((color, index) => {
+                const dr = color[0] - rgba[i];
+                const dg = color[1] - rgba[i + 1];
+                const db = color[2] - rgba[i + 2];
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = index;
+                }
+            });
+            cache.set(key, best);
+        }
+        indices[p] = best;
+    }
+    return indices;
+}
+
+// GIF LZW compression of palette indices, packed into 255-byte sub-blocks
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let buffer = 0;
+    let bits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    
+    const write = code => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            out.push(buffer & 0xff);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+    
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        write(prefix);
+        if (nextCode < 4096) {
+            table.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            // Table full: start over
+            write(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = indices[i];
+    }
+    write(prefix);
+    if (nextCode >= (1 << codeSize) && codeSize < 12) codeSize++; // The decoder grows its code size one code later
+    write(endCode);
+    if (bits > 0) out.push(buffer & 0xff);
+    
+    const blocks = [];
+    for (let i = 0; i < out.length; i += 255) {
+        const block = out.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return blocks;
+}
+
+// Animated GIF with one global palette (median cut over all frames), no dithering
+function encodeGIF(animation) {
+    const { width, height, frames } = animation;
+    const hasTransparency = frames.some(rgba => {
+        for (let i = 3; i < rgba.length; i += 4) {
+            if (rgba[i] < 128) return true;
+        }
+        return false;
+    });
+    const palette = medianCutPalette(frames, hasTransparency ? 255 : 256);
+    const transparentIndex = hasTransparency ? palette.length : -1;
+    if (hasTransparency) palette.push([0, 0, 0]);
+    
+    let tableBits = 1;
+    while ((1 << tableBits) < palette.length) tableBits++;
+    const minCodeSize = Math.max(2, tableBits);
+    const delay = Math.round(animation.delay / 10); // 1/100 s
+    
+    const bytes = [];
+    const word = value => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const text = value => bytes.push(...Array.from(value, c => c.charCodeAt(0)));
+    
+    text('GIF89a');
+    word(width);
+    word(height);
+    bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0); // Global color table
+    for (let i = 0; i < 1 << tableBits; i++) {
+        bytes.push(...(palette[i] || [0, 0, 0]));
+    }
+    
+    // NETSCAPE2.0 extension: repeat count (0 = forever). Without it the GIF plays once.
+    if (animation.loop !== 1) {
+        bytes.push(0x21, 0xff, 11);
+        text('NETSCAPE2.0');
+        bytes.push(3, 1);
+        word(animation.loop > 0 ? animation.loop - 1 : 0);
+        bytes.push(0);
+    }
+    
+    const cache = new Map();
+    frames.forEach(rgba => {
+        // Graphic control: delay, and with transparency clear to background between frames
+        bytes.push(0x21, 0xf9, 4, hasTransparency ? (2 << 2) | 1 : 1 << 2);
+        word(delay);
+        bytes.push(hasTransparency ? transparentIndex : 0, 0);
+        
+        bytes.push(0x2c);
+        word(0);
+        word(0);
+        word(width);
+        word(height);
+        bytes.push(0, minCodeSize);
+        const data = lzwEncode(indexFrame(rgba, palette, transparentIndex, cache), minCodeSize);
+        for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+    });
+    
+    bytes.push(0x3b);
+    return new Uint8Array(bytes);
+}
+
+// APNG encoding: full-size RGBA frames, each replacing the previous one, deflated by
+// pngImageData like any PNG
+function encodeAPNG(animation) {
+    const raster = typeof pngChunk !== 'undefined'
+        ? { pngChunk, pngHeader, pngImageData, concatBytes, PNG_SIGNATURE }
+        : require('./eyeball-raster.js');
+    const { width, height, frames } = animation;
+    const u32 = (data, offset, value) => new DataView(data.buffer).setUint32(offset, value);
+    const u16 = (data, offset, value) => new DataView(data.buffer).setUint16(offset, value);
+    
+    const control = new Uint8Array(8);
+    u32(control, 0, frames.length);
+    u32(control, 4, animation.loop);
+    const chunks = [raster.PNG_SIGNATURE, raster.pngChunk('IHDR', raster.pngHeader(width, height)), raster.pngChunk('acTL', control)];
+    
+    let sequence = 0;
+    frames.forEach((rgba, index) => {
+        const frameControl = new Uint8Array(26);
+        u32(frameControl, 0, sequence++);
+        u32(frameControl, 4, width);
+        u32(frameControl, 8, height);
+        u16(frameControl, 20, Math.round(animation.delay)); // Delay numerator...
+        u16(frameControl, 22, 1000); // ...over 1000: milliseconds
+        // Offsets, dispose op (none) and blend op (source) stay 0
+        chunks.push(raster.pngChunk('fcTL', frameControl));
+        
+        const data = raster.pngImageData(width, height, rgba);
+        if (index === 0) {
+            chunks.push(raster.pngChunk('IDAT', data));
+        } else {
+            const frameData = new Uint8Array(4 + data.length);
+            u32(frameData, 0, sequence++);
+            frameData.set(data, 4);
+            chunks.push(raster.pngChunk('fdAT', frameData));
+        }
+    });
+    
+    chunks.push(raster.pngChunk('IEND', new Uint8Array(0)));
+    return raster.concatBytes(chunks);
+}
+
+const ANIMATION_FORMATS = {
+    gif: { filename: seed => `witness_${seed}.gif`, contentType: 'image/gif', encode: encodeGIF },
+    // Still a .png so it opens anywhere, named apart from the static renders
+    apng: { filename: seed => `witness_${seed}_animated.png`, contentType: 'image/apng', encode: encodeAPNG }
+};
+
+// Renders and encodes a Witness: returns { filename, contentType, bytes }
+function encodeAnimation(seed, format, options = {}) {
+    const encoder = ANIMATION_FORMATS[format];
+    if (!encoder) {
+        throw new Error(`Unknown animation format "${format}" (expected ${Object.keys(ANIMATION_FORMATS).join(', ')}, or webm in the browser)`);
+    }
+    return {
+        filename: encoder.filename(seed),
+        contentType: encoder.contentType,
+        bytes: encoder.encode(renderAnimation(seed, options))
+    };
+}
+
+// WebM through MediaRecorder (browser only). Frames are drawn at the fixed animation times
+// and pushed to the stream one by one, paced at fps. Resolves with a Blob.
+function recordWebM(seed, options = {}) {
+    if (typeof MediaRecorder === 'undefined' || typeof document === 'undefined') {
+        return Promise.reject(new Error('WebM export needs MediaRecorder (a browser)'));
+    }
+    const settings = animationSettings(options);
+    const eyeball = animationEyeball(seed, settings);
+    const times = animationTimes(eyeball, settings);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = settings.size;
+    canvas.height = settings.size;
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) return Promise.reject(new Error('This browser cannot record WebM'));
+    
+    return new Promise((resolve, reject) => {
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onerror = event => reject(event.error);
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        recorder.start();
+        
+        let index = 0;
+        const next = () => {
+            if (index >= times.length) {
+                recorder.stop();
+                return;
+            }
+            ctx.clearRect(0, 0, settings.size, settings.size);
+            eyeball.draw(ctx, times[index++]);
+            track.requestFrame();
+            setTimeout(next, 1000 / settings.fps);
+        };
+        next();
+    });
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        animationTimes,
+        renderAnimation,
+        encodeGIF,
+        encodeAPNG,
+        encodeAnimation,
+        recordWebM,
+        medianCutPalette,
+        ANIMATION_FORMATS,
+        ANIMATION_DEFAULTS
+    };
+}
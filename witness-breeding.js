@@ -0,0 +1,96 @@
+// Witness Breeding
+// Fuses two parent Witnesses into a child, deterministically: the same parents and salt always
+// give the same child, so anyone can recompute (and so verify) a fusion from its lineage.
+//
+// The child seed is sha256('breed:<lower parent>:<higher parent>:<salt>') through
+// seedFromString, so the parent order doesn't matter. A second stream, SeededRandom.mix(child
+// seed), then decides every trait of Eyeball.TRAIT_SPEC in order: one draw picks the parent,
+// one more decides whether it mutates instead (mutationRate). A mutated trait takes the value
+// the child seed rolls on its own. The child is the forge spec of those traits (witness-forge.js),
+// with the lineage alongside.
+//
+// In the browser, load it after the engine, the seed helpers and the forge:
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="witness-seeds.js"></script>
+//   <script src="witness-forge.js"></script>
+//   <script src="witness-breeding.js"></script>
+
+const BREEDING_DEFAULTS = {
+    mutationRate: 0.05 // Chance of each trait mutating instead of coming from a parent
+};
+
+// Forge spec of the child: { seed, traits, lineage }. lineage.genes maps every trait to the
+// seed it came from (a parent, or the child's own seed for a mutation).
+function breedSpec(parent1, parent2, salt, options = {}) {
+    const { mutationRate } = { ...BREEDING_DEFAULTS, ...options };
+    if (!Number.isInteger(parent1) || !Number.isInteger(parent2)) {
+        throw new Error('Parent seeds must be integers');
+    }
+    if (salt === undefined || salt === null || String(salt) === '') {
+        throw new Error('Breeding needs a salt');
+    }
+    if (!(mutationRate >= 0 && mutationRate <= 1)) {
+        throw new Error(`Mutation rate must be from 0 to 1, not "${mutationRate}"`);
+    }
+    
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    const RandomClass = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./eyeball-generator-native.js').SeededRandom;
+    const fromString = typeof seedFromString !== 'undefined' ? seedFromString : require('./witness-seeds.js').seedFromString;
+    const specOf = typeof eyeballSpec !== 'undefined' ? eyeballSpec : require('./witness-forge.js').eyeballSpec;
+    
+    const parents = [parent1, parent2].sort((a, b) => a - b);
+    const seed = fromString(`breed:${parents[0]}:${parents[1]}:${salt}`);
+    const sources = [parents[0], parents[1], seed].map(source => ({ seed: source, traits: specOf(new EyeballClass(source)).traits }));
+    
+    // Two draws per trait whatever happens, so each decision always uses the same numbers
+    const rng = new RandomClass(RandomClass.mix(seed));
+    const traits = {};
+    const genes = {};
+    const mutations = [];
+    Object.keys(EyeballClass.TRAIT_SPEC).forEach(key => {
+        const parent = rng.boolean(0.5) ? sources[1] : sources[0];
+        const mutated = rng.boolean(mutationRate);
+        const source = mutated ? sources[2] : parent;
+        traits[key] = source.traits[key];
+        genes[key] = source.seed;
+        if (mutated) mutations.push(key);
+    });
+    
+    return {
+        seed,
+        traits,
+        lineage: {
+            parents,
+            salt: String(salt),
+            mutationRate,
+            genes,
+            mutations
+        }
+    };
+}
+
+// The child Eyeball, with the lineage in eyeball.metadata.lineage. Other options go to the
+// Eyeball constructor (preset, scale, ...).
+function breedEyeball(parent1, parent2, salt, canvasWidth = 300, canvasHeight = 300, options = {}) {
+    const { mutationRate, ...eyeballOptions } = options;
+    const spec = breedSpec(parent1, parent2, salt, mutationRate === undefined ? {} : { mutationRate });
+    const forge = typeof forgeEyeball !== 'undefined' ? forgeEyeball : require('./witness-forge.js').forgeEyeball;
+    const eyeball = forge(spec, canvasWidth, canvasHeight, eyeballOptions);
+    eyeball.metadata.lineage = spec.lineage;
+    return eyeball;
+}
+
+// Recompute a child from the lineage in its spec (or metadata) and check it matches
+function verifyLineage(spec) {
+    const lineage = spec.lineage;
+    if (!lineage || !Array.isArray(lineage.parents) || lineage.parents.length !== 2) {
+        throw new Error('No lineage to verify');
+    }
+    const expected = breedSpec(lineage.parents[0], lineage.parents[1], lineage.salt, { mutationRate: lineage.mutationRate });
+    return expected.seed === spec.seed && JSON.stringify(expected.traits) === JSON.stringify(spec.traits);
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { breedSpec, breedEyeball, verifyLineage, BREEDING_DEFAULTS };
+}
@@ -0,0 +1,207 @@
+// Witness Near-Duplicate Finder
+// Fingerprints every Witness in a seed list three ways and reports the ones that look alike:
+//
+//   trait hash      - the exact trait tuple (socket, sclera, iris, pupil, powers, essence),
+//                     colors and sizes left out
+//   perceptual hash - an edge map of a rendered reference frame: the frame is drawn at time 0
+//                     (so every seed's animation is in the same phase), zoomed in on the eye,
+//                     and split into a grid with one bit per cell that contains color edges
+//   colors          - the rolled color of each part of the eye (socket, sclera, both iris
+//                     colors, pupil)
+//
+// Similarity is the Jaccard index of two edge maps (shared edge cells / all edge cells), so
+// empty background doesn't count towards it. Edge maps don't see colors, and glow rays and
+// particles take up a lot of the map, so two eyes with different traits or colors can still
+// score high. Two eyes only match when every part's color is also within colorTolerance on
+// each channel: the same palette color rolled twice (generateColor's +-30 jitter) passes,
+// an emerald iris next to a crimson one doesn't. Matches go in two lists:
+//
+//   clusters   - same trait hash and similarity >= threshold: effectively the same eye
+//   lookalikes - different traits but similarity >= lookalikeThreshold: worth a human look
+
+// Structural traits that make up the trait tuple
+const DUPLICATE_TRAITS = ['socketShape', 'scleraTexture', 'irisPattern', 'irisShape', 'pupilShape', 'style'];
+
+// Colored parts compared between two eyes
+const DUPLICATE_COLORS = ['socketColor', 'scleraColor', 'irisColor1', 'irisColor2', 'pupilColor'];
+
+const DUPLICATE_DEFAULTS = {
+    size: 96,                  // Reference frame size in pixels
+    referenceSize: 160,        // Relative scale reference, smaller than the usual 300 to zoom in on the eye
+    time: 0,                   // Animation time of the reference frame
+    grid: 24,                  // Edge map is grid x grid bits
+    edgeStrength: 24,          // Summed RGB difference between neighbouring pixels that counts as an edge
+    edgeFill: 0.25,            // Share of a cell's pixels that must be edges to set its bit
+    threshold: 0.85,           // Similarity for a same-traits pair to count as a near-duplicate
+    lookalikeThreshold: 0.98,  // Similarity for a different-traits pair to be listed as a lookalike
+    colorTolerance: 30         // Largest channel difference between two eyes' part colors (the default jitter)
+};
+
+function traitTuple(eyeball) {
+    const values = DUPLICATE_TRAITS.map(trait => eyeball[trait]);
+    values.push(eyeball.traits.arcanePowers.effects.join('+') || 'none');
+    return values.join('|');
+}
+
+// 32-bit FNV-1a of a string, as 8 hex digits
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// One bit per grid cell: set when enough of the cell's pixels sit on a color edge
+function edgeMap(rgba, size, settings) {
+    const grid = settings.grid;
+    const counts = new Float64Array(grid * grid);
+    // Colors over black, so transparent pixels count as dark
+    const channel = (pixel, c) => rgba[pixel * 4 + c] * rgba[pixel * 4 + 3] / 255;
+    
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const pixel = y * size + x;
+            let strength = 0;
+            for (let c = 0; c < 3; c++) {
+                const value = channel(pixel, c);
+                strength += Math.abs(channel(pixel + 1, c) - value) + Math.abs(channel(pixel + size, c) - value);
+            }
+            if (strength > settings.edgeStrength) {
+                counts[Math.floor(y * grid / size) * grid + Math.floor(x * grid / size)]++;
+            }
+        }
+    }
+    
+    const cellPixels = (size / grid) * (size / grid);
+    return counts.map(count => count >= cellPixels * settings.edgeFill ? 1 : 0);
+}
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+// Jaccard index of two edge maps
+function hashSimilarity(a, b) {
+    let shared = 0;
+    let either = 0;
+    for (let i = 0; i < a.length; i++) {
+        shared += a[i] & b[i];
+        either += a[i] | b[i];
+    }
+    return either === 0 ? 1 : shared / either;
+}
+
+// Largest difference on any channel of any part between two color lists
+function colorDistance(a, b) {
+    let distance = 0;
+    a.forEach((rgb, part) => {
+        rgb.forEach((value, c) => {
+            distance = Math.max(distance, Math.abs(value - b[part][c]));
+        });
+    });
+    return distance;
+}
+
+// All fingerprints for one seed
+function fingerprintWitness(seed, options = {}) {
+    const settings = { ...DUPLICATE_DEFAULTS, ...options };
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    const Raster = typeof RasterBackend !== 'undefined' ? RasterBackend : require('./eyeball-raster.js').RasterBackend;
+    
+    const eyeball = new EyeballClass(seed, settings.size, settings.size, {
+        scale: 'relative',
+        referenceSize: settings.referenceSize
+    });
+    const backend = new Raster(settings.size, settings.size);
+    eyeball.draw(backend, settings.time);
+    
+    const tuple = traitTuple(eyeball);
+    const bits = edgeMap(backend.toRGBA(), settings.size, settings);
+    return {
+        seed,
+        traits: tuple,
+        traitHash: fnv1a(tuple),
+        perceptualHash: bitsToHex(bits),
+        colors: DUPLICATE_COLORS.map(part => eyeball[part].map(Math.round)),
+        bits
+    };
+}
+
+// Join matching pairs into clusters (union-find over fingerprint indices)
+function clusterPairs(prints, pairs) {
+    const parent = prints.map((print, index) => index);
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+    pairs.forEach(pair => {
+        parent[find(pair.a)] = find(pair.b);
+    });
+    
+    const groups = new Map();
+    pairs.forEach(pair => {
+        const root = find(pair.a);
+        if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+        const group = groups.get(root);
+        group.members.add(pair.a);
+        group.members.add(pair.b);
+        group.pairs.push({
+            seeds: [prints[pair.a].seed, prints[pair.b].seed],
+            similarity: pair.similarity,
+            colorDistance: pair.colorDistance
+        });
+    });
+    
+    return [...groups.values()]
+        .map(group => ({
+            seeds: [...group.members].map(index => prints[index].seed).sort((a, b) => a - b),
+            similarity: Math.max(...group.pairs.map(pair => pair.similarity)),
+            pairs: group.pairs.sort((a, b) => b.similarity - a.similarity)
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Fingerprint a seed list and find near-duplicates. Returns
+// { settings, witnesses: [{ seed, traitHash, perceptualHash, colors }], clusters, lookalikes }
+// where each cluster lists its seeds, its best similarity and every matching pair.
+// A seed that appears twice in the list is always a cluster (similarity 1).
+function findDuplicates(seeds, options = {}) {
+    const settings = { ...DUPLICATE_DEFAULTS, ...options };
+    const prints = seeds.map(seed => fingerprintWitness(seed, settings));
+    
+    const duplicatePairs = [];
+    const lookalikePairs = [];
+    for (let a = 0; a < prints.length; a++) {
+        for (let b = a + 1; b < prints.length; b++) {
+            const distance = colorDistance(prints[a].colors, prints[b].colors);
+            if (distance > settings.colorTolerance) continue;
+            const similarity = hashSimilarity(prints[a].bits, prints[b].bits);
+            if (prints[a].traitHash === prints[b].traitHash) {
+                if (similarity >= settings.threshold) duplicatePairs.push({ a, b, similarity, colorDistance: distance });
+            } else if (similarity >= settings.lookalikeThreshold) {
+                lookalikePairs.push({ a, b, similarity, colorDistance: distance });
+            }
+        }
+    }
+    
+    const clusters = clusterPairs(prints, duplicatePairs);
+    clusters.forEach(cluster => {
+        cluster.traitHash = prints[seeds.indexOf(cluster.seeds[0])].traitHash;
+        cluster.traits = prints[seeds.indexOf(cluster.seeds[0])].traits;
+    });
+    
+    return {
+        settings,
+        witnesses: prints.map(({ seed, traitHash, perceptualHash, colors }) => ({ seed, traitHash, perceptualHash, colors })),
+        clusters,
+        lookalikes: clusterPairs(prints, lookalikePairs)
+    };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { findDuplicates, fingerprintWitness, hashSimilarity, colorDistance, DUPLICATE_DEFAULTS };
+}
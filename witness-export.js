@@ -0,0 +1,143 @@
+// Witness Export
+// Collection metadata in the formats marketplaces ask for. Every exporter takes a list of
+// Witnesses ({ seed, token?, name?, inscription? }, the shape manifestTokens() returns) and a
+// config object with the collection name, description and URLs, and returns the file content.
+//
+//   ordinals   Ordinals marketplace collection JSON: [{ id, meta: { name, attributes } }]
+//   erc721     OpenSea-style ERC-721 token metadata, one object per token (as a JSON array)
+//   csv        One row per Witness with every trait as a column
+//
+// URL and name settings are templates: {collection}, {token}, {seed} and {inscription} are
+// filled in per Witness. A template that needs a value a Witness doesn't have is an error.
+
+const EXPORT_CONFIG = {
+    collection: 'Witness451',
+    description: 'A unique generative abstract eyeball from the Witness collection. Each eye possesses distinct arcane powers and mystical properties, forged from the depths of digital consciousness.',
+    itemName: '{collection} #{token}',
+    image: 'witness_{seed}.png',
+    externalUrl: null, // e.g. 'https://example.com/eye/{seed}'
+    animationUrl: null // e.g. 'https://ordinals.com/content/{inscription}'
+};
+
+function fillTemplate(template, values, setting) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (values[key] === undefined || values[key] === null) {
+            throw new Error(`${setting} uses ${placeholder}, which Witness seed ${values.seed} doesn't have`);
+        }
+        return String(values[key]);
+    });
+}
+
+// Everything the exporters need about one Witness
+function exportEntry(witness, index, config) {
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    const eyeball = witness.eyeball || new EyeballClass(witness.seed);
+    const values = {
+        collection: config.collection,
+        token: witness.token !== undefined ? witness.token : index + 1,
+        seed: witness.seed,
+        inscription: witness.inscription
+    };
+    const url = setting => config[setting] ? fillTemplate(config[setting], values, setting) : null;
+    
+    return {
+        ...values,
+        name: witness.name || fillTemplate(config.itemName, values, 'itemName'),
+        image: url('image'),
+        externalUrl: url('externalUrl'),
+        animationUrl: url('animationUrl'),
+        attributes: eyeball.metadata.traits.map(trait => ({
+            trait_type: trait.name,
+            value: trait.value
+        }))
+    };
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXPORT_FORMATS = {
+    ordinals: {
+        extension: 'json',
+        contentType: 'application/json',
+        build(entries) {
+            // Not yet inscribed Witnesses have no id; marketplaces need it before listing
+            return JSON.stringify(entries.map(entry => ({
+                ...(entry.inscription ? { id: entry.inscription } : {}),
+                meta: {
+                    name: entry.name,
+                    attributes: entry.attributes
+                }
+            })), null, 2);
+        }
+    },
+    erc721: {
+        extension: 'json',
+        contentType: 'application/json',
+        build(entries, config) {
+            return JSON.stringify(entries.map(entry => erc721Token(entry, config)), null, 2);
+        }
+    },
+    csv: {
+        extension: 'csv',
+        contentType: 'text/csv',
+        build(entries) {
+            const traitNames = [];
+            entries.forEach(entry => entry.attributes.forEach(attribute => {
+                if (!traitNames.includes(attribute.trait_type)) traitNames.push(attribute.trait_type);
+            }));
+            
+            const rows = [['token', 'seed', 'inscription', 'name', ...traitNames]];
+            entries.forEach(entry => {
+                const traits = {};
+                entry.attributes.forEach(attribute => {
+                    traits[attribute.trait_type] = attribute.value;
+                });
+                rows.push([entry.token, entry.seed, entry.inscription, entry.name, ...traitNames.map(name => traits[name])]);
+            });
+            return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+        }
+    }
+};
+
+// ERC-721 metadata for a single token (optional fields only when configured)
+function erc721Token(entry, config) {
+    const token = {
+        name: entry.name,
+        description: config.description,
+        image: entry.image
+    };
+    if (entry.externalUrl) token.external_url = entry.externalUrl;
+    if (entry.animationUrl) token.animation_url = entry.animationUrl;
+    token.attributes = entry.attributes;
+    return token;
+}
+
+// Returns { filename, contentType, content } for one of the EXPORT_FORMATS
+function exportCollection(format, witnesses, config = {}) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    const settings = { ...EXPORT_CONFIG, ...config };
+    const entries = witnesses.map((witness, index) => exportEntry(witness, index, settings));
+    
+    return {
+        filename: `${settings.collection.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${format}.${exporter.extension}`,
+        contentType: exporter.contentType,
+        content: exporter.build(entries, settings)
+    };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        exportCollection,
+        exportEntry,
+        erc721Token,
+        EXPORT_FORMATS,
+        EXPORT_CONFIG
+    };
+}
@@ -0,0 +1,50 @@
+// Witness Forge
+// Builds an eye from an explicit trait spec instead of rolling everything from the seed, for
+// hand-crafted 1/1 pieces and commissions. A spec is { seed, traits, palette }, where traits
+// holds any subset of Eyeball.TRAIT_SPEC (socketShape, irisPattern, pupilColor, hasLaser, style,
+// ...) and the optional palette is the options.palette set the eye is drawn with.
+// The seed fills in the rest exactly as it would for the plain seed, so forging a trait or
+// two keeps everything else about that Witness. The one exception: switching all effects on
+// or off moves the Arcane Powers score roll, which shifts the later scores and animation speed.
+//
+//   const spec = eyeballSpec(new Eyeball(42));  // Start from an existing Witness
+//   spec.traits.irisPattern = 'void';
+//   const eyeball = forgeEyeball(spec, 300, 300);
+//
+// In the browser, load it after the engine:
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="witness-forge.js"></script>
+
+function forgeEyeballClass() {
+    return typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+}
+
+// Throws on traits the engine can't draw (the engine checks options.traits the same way)
+function validateTraits(traits) {
+    forgeEyeballClass().validateTraits(traits);
+}
+
+// An Eyeball with the spec's traits; metadata is generated from the forged values
+function forgeEyeball(spec, canvasWidth = 300, canvasHeight = 300, options = {}) {
+    const seed = spec.seed === undefined ? 0 : spec.seed;
+    if (!Number.isInteger(seed)) throw new Error(`Forge seed must be an integer, not "${seed}"`);
+    const forged = { ...options, traits: spec.traits || {} };
+    if (spec.palette !== undefined) forged.palette = spec.palette;
+    const EyeballClass = forgeEyeballClass();
+    return new EyeballClass(seed, canvasWidth, canvasHeight, forged);
+}
+
+// The full spec of an eye (every trait, and its palette set for the color names), so
+// forgeEyeball(eyeballSpec(eyeball)) draws it again
+function eyeballSpec(eyeball) {
+    const traits = {};
+    Object.keys(forgeEyeballClass().TRAIT_SPEC).forEach(key => {
+        traits[key] = Array.isArray(eyeball[key]) ? eyeball[key].slice() : eyeball[key];
+    });
+    return { seed: eyeball.seed, traits, palette: eyeball.options.palette };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { forgeEyeball, eyeballSpec, validateTraits };
+}
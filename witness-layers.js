@@ -0,0 +1,111 @@
+// Witness Layer Export
+// Renders each drawing layer of a Witness (eyeball.layers(): background, glow, aura, socket,
+// sclera, iris, pupil, highlights, laser, particles, lightning and any effect plugins) to its
+// own transparent image, plus a manifest of layer order and blending, for a given seed and
+// animation time.
+// Stacking the images in manifest order with normal blending gives back the composite frame.
+//
+// In the browser, load it after the engine and the raster backend (PNG encoding):
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="eyeball-raster.js"></script>
+//   <script src="witness-layers.js"></script>
+
+const LAYER_DEFAULTS = {
+    size: 300,
+    preset: 'native',
+    frame: 1, // Free-running frame to capture
+    time: null // Animation time (overrides frame)
+};
+
+// Draws every layer of the eye on its own surface. Returns { width, height, time, layers },
+// each layer { id, rgba, bounds } where bounds is the box of non-transparent pixels (null if
+// the layer is empty at this time, e.g. a laser between bursts).
+function renderLayers(seed, options = {}) {
+    const settings = { ...LAYER_DEFAULTS, ...options };
+    if (!(settings.size > 0)) throw new Error('Layer size must be a positive number of pixels');
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    const eyeball = new EyeballClass(seed, settings.size, settings.size, { preset: settings.preset, scale: 'relative' });
+    const size = settings.size;
+    const time = settings.time !== null ? settings.time : eyeball.frameTime(settings.frame);
+    
+    // One surface per layer: a canvas in the browser, the raster backend in Node
+    const surfaces = new Map();
+    const surface = id => {
+        if (!surfaces.has(id)) {
+            if (typeof document !== 'undefined') {
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                const ctx = canvas.getContext('2d');
+                surfaces.set(id, { target: ctx, rgba: () => new Uint8Array(ctx.getImageData(0, 0, size, size).data.buffer) });
+            } else {
+                const RasterClass = typeof RasterBackend !== 'undefined' ? RasterBackend : require('./eyeball-raster.js').RasterBackend;
+                const backend = new RasterClass(size, size);
+                surfaces.set(id, { target: backend, rgba: () => new Uint8Array(backend.toRGBA().buffer) });
+            }
+        }
+        return surfaces.get(id).target;
+    };
+    eyeball.drawLayers(surface, time);
+    
+    const layers = eyeball.layers().map(layer => {
+        const rgba = surfaces.get(layer.id).rgba();
+        return { id: layer.id, rgba, bounds: opaqueBounds(rgba, size, size) };
+    });
+    return { width: size, height: size, time, layers };
+}
+
+function opaqueBounds(rgba, width, height) {
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (rgba[(y * width + x) * 4 + 3] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// PNG per layer plus the manifest. Returns { files: [{ name, bytes }], manifest }, where the
+// manifest is also in files as layers.json.
+function exportLayers(seed, options = {}) {
+    const settings = { ...LAYER_DEFAULTS, ...options };
+    const encode = typeof encodePNG !== 'undefined' ? encodePNG : require('./eyeball-raster.js').encodePNG;
+    const render = renderLayers(seed, settings);
+    
+    const files = [];
+    const manifest = {
+        seed,
+        preset: settings.preset,
+        time: render.time,
+        frame: settings.time !== null ? null : settings.frame,
+        width: render.width,
+        height: render.height,
+        // Bottom layer first. Every layer is straight-alpha RGBA at full canvas size.
+        layers: render.layers.map((layer, index) => {
+            const name = `${String(index).padStart(2, '0')}_${layer.id}.png`;
+            files.push({ name, bytes: encode(render.width, render.height, layer.rgba) });
+            return {
+                id: layer.id,
+                file: name,
+                order: index,
+                blend: 'normal', // Canvas source-over
+                opacity: 1,
+                bounds: layer.bounds
+            };
+        })
+    };
+    files.push({ name: 'layers.json', bytes: JSON.stringify(manifest, null, 2) });
+    return { files, manifest };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderLayers, exportLayers, LAYER_DEFAULTS };
+}
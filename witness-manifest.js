@@ -0,0 +1,165 @@
+// Witness451 collection manifest
+// The canonical token list for the collection: token n is seeds[n - 1], with an optional
+// name from names and, once minted, its inscription ID from inscriptions. index.html,
+// lore.html and the command-line tools all read from here, so edit the list in this file only.
+// manifestJSON() gives the form that gets inscribed for the recursive child pages (inscription/).
+//
+// The list is kept exactly as curated. validateManifest() reports anything off about it
+// (duplicate seeds, seeds outside the generator range, supply mismatch) without changing it.
+
+const WITNESS_MANIFEST = {
+    name: 'Witness451',
+    supply: 451,
+    seedRange: { min: 1, max: 999999 },
+    
+    // First cut seed numbers, in token order
+    seeds: [
+        856167, 799727, 34085, 648628, 297052, 105200, 903188, 17412, 137402, 484656,
+        73555, 993438, 61677, 534211, 147086, 505206, 903130, 413804, 805274, 410956,
+        580839, 312028, 778708, 695070, 432164, 782967, 947756, 92679, 364364, 714379,
+        781427, 4189, 720280, 998357, 965250, 982925, 144905, 56267, 221322, 516401,
+        403801, 511906, 572249, 242992, 319833, 39881, 936347, 92721, 700491, 902365,
+        573872, 169717, 449266, 535266, 61746, 816416, 716712, 219890, 802166, 548164,
+        600871, 204401, 738536, 779430, 495622, 190462, 393557, 817549, 113680, 302035,
+        312968, 934537, 15642, 333572, 618805, 912854, 225155, 677351, 549976, 618592,
+        711242, 79892, 438440, 666942, 780160, 667254, 481955, 945334, 40640, 580770,
+        475152, 865682, 942587, 128743, 297836, 433298, 297836, 708531, 974900, 230172,
+        559948, 382022, 314412, 528227, 191509, 543274, 584706, 994101, 823049, 285941,
+        97792, 225348, 997479, 115112, 475718, 346450, 430027, 780299, 927790, 575517,
+        82946, 863824, 196337, 696552, 500624, 305149, 533257, 94698, 781859, 187786,
+        157349, 253263, 778946, 511029, 267760, 407362, 266607, 943678, 984114, 916143,
+        506549, 521074, 608981, 116552, 433253, 329779, 618597, 589531, 777262, 861413,
+        44262, 517981, 149929, 72142, 452133, 704381, 986987, 987407, 881955, 149766,
+        805069, 275876, 820925, 932766, 25136, 752013, 682094, 907666, 521374, 534141,
+        397010, 239279, 992699, 668067, 498130, 851603, 472481, 372454, 753541, 650590,
+        421207, 556923, 801640, 685695, 203862, 684247, 315279, 879504, 254566, 224762,
+        386908, 373668, 18391, 100414, 452278, 131437, 523111, 72829, 699709, 934800,
+        203166, 510549, 957745, 972533, 346277, 942894, 991591, 296690, 359629, 328845,
+        84383, 912520, 562310, 281570, 794070, 696583, 987586, 452297, 342363, 758126,
+        278118, 995948, 664716, 582763, 127398, 371529, 510090, 723781, 116542, 926385,
+        537601, 675921, 998752, 95711, 86072, 764156, 696470, 196609, 727935, 755473,
+        105394, 106163, 891207, 227831, 100732, 157269, 332833, 379634, 4588, 478195,
+        346270, 656103, 427041, 248544, 920307, 248544, 920307, 346380, 53072, 926816,
+        739903, 204411, 894870, 482466, 518196, 86483, 618710, 794656, 214674, 941385,
+        344133, 269652, 295484, 351568, 614447, 113155, 618788, 113155, 645758, 519607,
+        638903, 362259, 619425, 125618, 330586, 725254, 679437, 849359, 582303, 657577,
+        940729, 786500, 664041, 327345, 341572, 666615, 798134, 943955, 819751, 882297,
+        103239, 874566, 139890, 27803, 304346, 983414, 355772, 872595, 559659, 711992,
+        768706, 416341, 709052, 598233, 947077, 260830, 559480, 168649, 142775, 521944,
+        550287, 887845, 741333, 776819, 818030, 76328, 366870, 549170, 746127, 175510,
+        363813, 621349, 364705, 698886, 708731, 336088, 82468, 822947, 984019, 492057,
+        535910, 136894, 802998, 778761, 460094, 344258, 625393, 737725, 505557, 673923,
+        510489, 837794, 386388, 84670, 964532, 120597, 54523, 910487, 749591, 128602,
+        361989, 518040, 887239, 759298, 974425, 22383, 840338, 650001, 788788, 975772,
+        813540, 108226, 330961, 60067, 96526, 304544, 707625, 544357, 650081, 529540,
+        933691, 941767, 984133, 407425, 542674, 465417, 837837, 335777, 658183, 12910,
+        401057, 761816, 988463, 466062, 577200, 443042, 778261, 183048, 655161, 794875,
+        256166, 322156, 920976, 478104, 456959, 437708, 126893, 969282, 229392, 298723,
+        810048, 716315, 518993, 466759, 335035, 567221, 910696, 520988, 1491, 807558,
+        119407, 953769, 345427, 740751, 392087, 142676, 197409, 263495, 212329, 428766,
+        670466, 472998, 429565, 630148, 922957, 788839, 569667, 99817, 309657, 485152,
+        665100, 76697, 203242, 991753, 180264, 906788, 913456, 799902, 390688, 123280,
+        651358, 729862, 670116, 998088, 588230, 280714, 818872, 318220, 151729, 147005,
+        426709, 683059, 992062, 25133, 433899, 284507, 988141, 219543, 56461, 346006,
+        229471, 177083, 213190, 373384, 165166, 286074, 418703, 788790, 12127, 720626,
+        164463, 8700561, 750750, 10961, 375174, 264850, 683205, 481786, 496354, 200402,
+        644771, 751689, 264934, 698294, 618022, 660404, 409758, 467747, 978442, 703802,
+        572309, 653866, 146797, 146767, 509894, 177333, 200243, 479716, 437914, 397920,
+        620503, 801525, 311869, 131729, 617342, 837236, 878387, 260495, 204681, 375117,
+        764150, 413956
+    ],
+    
+    // Optional token names, keyed by token number
+    names: {},
+    
+    // Inscription IDs of minted tokens, keyed by token number
+    inscriptions: {}
+};
+
+// Token entries: { token, seed, name?, inscription? }
+function manifestTokens(manifest = WITNESS_MANIFEST) {
+    return manifest.seeds.map((seed, index) => {
+        const token = index + 1;
+        const entry = { token, seed };
+        if (manifest.names && manifest.names[token]) {
+            entry.name = manifest.names[token];
+        }
+        if (manifest.inscriptions && manifest.inscriptions[token]) {
+            entry.inscription = manifest.inscriptions[token];
+        }
+        return entry;
+    });
+}
+
+// Plain JSON version of the manifest, for inscribing: { name, supply, tokens }
+function manifestJSON(manifest = WITNESS_MANIFEST) {
+    return {
+        name: manifest.name,
+        supply: manifest.supply,
+        tokens: manifestTokens(manifest)
+    };
+}
+
+// Check the manifest and list every problem found. Returns { valid, problems }, where each
+// problem is { type, message, ... } with type 'duplicate', 'out-of-range', 'invalid-seed',
+// 'supply', 'unknown-name', 'unknown-inscription' or 'duplicate-inscription'.
+function validateManifest(manifest = WITNESS_MANIFEST) {
+    const problems = [];
+    const { min, max } = manifest.seedRange;
+    const tokensBySeed = new Map();
+    
+    manifestTokens(manifest).forEach(({ token, seed }) => {
+        if (!Number.isInteger(seed)) {
+            problems.push({ type: 'invalid-seed', token, seed, message: `Token ${token}: seed ${seed} is not an integer` });
+            return;
+        }
+        if (seed < min || seed > max) {
+            problems.push({ type: 'out-of-range', token, seed, message: `Token ${token}: seed ${seed} is outside ${min}-${max}` });
+        }
+        if (!tokensBySeed.has(seed)) tokensBySeed.set(seed, []);
+        tokensBySeed.get(seed).push(token);
+    });
+    
+    tokensBySeed.forEach((tokens, seed) => {
+        if (tokens.length > 1) {
+            problems.push({ type: 'duplicate', seed, tokens, message: `Seed ${seed} is used by tokens ${tokens.join(', ')}` });
+        }
+    });
+    
+    if (manifest.seeds.length !== manifest.supply) {
+        problems.push({
+            type: 'supply',
+            count: manifest.seeds.length,
+            supply: manifest.supply,
+            message: `Manifest has ${manifest.seeds.length} tokens, supply is ${manifest.supply}`
+        });
+    }
+    
+    Object.keys(manifest.names || {}).forEach(token => {
+        if (!(token >= 1 && token <= manifest.seeds.length)) {
+            problems.push({ type: 'unknown-name', token, message: `Name given for token ${token}, which is not in the manifest` });
+        }
+    });
+    
+    const tokensByInscription = new Map();
+    Object.keys(manifest.inscriptions || {}).forEach(token => {
+        if (!(token >= 1 && token <= manifest.seeds.length)) {
+            problems.push({ type: 'unknown-inscription', token, message: `Inscription given for token ${token}, which is not in the manifest` });
+        }
+        const id = manifest.inscriptions[token];
+        if (!tokensByInscription.has(id)) tokensByInscription.set(id, []);
+        tokensByInscription.get(id).push(token);
+    });
+    tokensByInscription.forEach((tokens, id) => {
+        if (tokens.length > 1) {
+            problems.push({ type: 'duplicate-inscription', inscription: id, tokens, message: `Inscription ${id} is used by tokens ${tokens.join(', ')}` });
+        }
+    });
+    
+    return { valid: problems.length === 0, problems };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WITNESS_MANIFEST, manifestTokens, manifestJSON, validateManifest };
+}
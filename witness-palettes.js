@@ -0,0 +1,82 @@
+// Witness Palette Editions
+// Named palette sets for special editions. Loading this file registers them with the engine,
+// after which any of them can be picked per eye:
+//   new Eyeball(seed, width, height, { palette: 'blood-moon' })
+// An edition only changes colors: the seed keeps its shapes, effects and rarity scores.
+// Collections can register their own sets the same way with Eyeball.registerPalette.
+//
+// In the browser, load it after the engine:
+//   <script src="eyeball-generator-native.js"></script>
+//   <script src="witness-palettes.js"></script>
+// As an ES module, import witness-palettes.mjs ('witness451/palettes'): it registers with the
+// engine from eyeball-generator-native.mjs, the one `import { Eyeball } from 'witness451'` gives.
+
+const WITNESS_PALETTES = {
+    'blood-moon': {
+        jitter: 20,
+        palettes: {
+            socket: [{ name: 'Eclipse', rgb: [25, 5, 8] }, { name: 'Dried Blood', rgb: [70, 8, 12] }, { name: 'Umbra', rgb: [40, 15, 20] }],
+            sclera: [
+                { name: 'Bone', rgb: [235, 220, 205] }, { name: 'Blush', rgb: [230, 180, 170] },
+                { name: 'Ash', rgb: [90, 70, 70] }, { name: 'Lunar Red', rgb: [200, 90, 70] }
+            ],
+            iris: [
+                { name: 'Blood Moon', rgb: [200, 30, 20] }, { name: 'Crimson Tide', rgb: [150, 0, 20] },
+                { name: 'Ember', rgb: [255, 90, 30] }, { name: 'Garnet', rgb: [120, 10, 40] },
+                { name: 'Harvest Moon', rgb: [240, 140, 40] }, { name: 'Wine', rgb: [90, 0, 30] }
+            ],
+            pupil: [{ name: 'Void', rgb: [0, 0, 0] }, { name: 'Clot', rgb: [45, 0, 5] }, { name: 'Moonlight', rgb: [250, 240, 230] }],
+            effect: [{ name: 'Ember', rgb: [255, 90, 30] }, { name: 'Scarlet', rgb: [255, 40, 40] }, { name: 'Harvest', rgb: [255, 150, 50] }],
+            laser: [{ name: 'Blood Beam', rgb: [255, 20, 20] }, { name: 'Ember Beam', rgb: [255, 100, 20] }],
+            aura: [{ name: 'Red Halo', rgb: [200, 20, 40] }, { name: 'Dusk', rgb: [150, 40, 80] }]
+        }
+    },
+    
+    // No jitter: any variation per channel would tint the greys
+    monochrome: {
+        jitter: 0,
+        palettes: {
+            socket: [{ name: 'Pitch', rgb: [15, 15, 15] }, { name: 'Graphite', rgb: [40, 40, 40] }, { name: 'Slate', rgb: [70, 70, 70] }],
+            sclera: [
+                { name: 'Snow', rgb: [250, 250, 250] }, { name: 'Chalk', rgb: [225, 225, 225] },
+                { name: 'Fog', rgb: [180, 180, 180] }, { name: 'Pewter', rgb: [110, 110, 110] }
+            ],
+            iris: [
+                { name: 'Snow', rgb: [250, 250, 250] }, { name: 'Silver', rgb: [200, 200, 200] },
+                { name: 'Fog', rgb: [160, 160, 160] }, { name: 'Steel', rgb: [120, 120, 120] },
+                { name: 'Slate', rgb: [80, 80, 80] }, { name: 'Graphite', rgb: [45, 45, 45] }
+            ],
+            pupil: [{ name: 'Pitch', rgb: [0, 0, 0] }, { name: 'Graphite', rgb: [35, 35, 35] }, { name: 'Snow', rgb: [255, 255, 255] }],
+            effect: [{ name: 'Snow', rgb: [255, 255, 255] }, { name: 'Silver', rgb: [200, 200, 200] }, { name: 'Steel', rgb: [140, 140, 140] }],
+            laser: [{ name: 'White Beam', rgb: [255, 255, 255] }, { name: 'Silver Beam', rgb: [190, 190, 190] }],
+            aura: [{ name: 'Silver Halo', rgb: [210, 210, 210] }, { name: 'Smoke', rgb: [120, 120, 120] }]
+        }
+    },
+    
+    bitcoin: {
+        jitter: 15,
+        palettes: {
+            socket: [{ name: 'Graphite', rgb: [30, 30, 30] }, { name: 'Burnt Orange', rgb: [70, 35, 5] }],
+            sclera: [{ name: 'Paper', rgb: [250, 245, 235] }, { name: 'Ledger Grey', rgb: [90, 90, 95] }],
+            iris: [
+                { name: 'Bitcoin Orange', rgb: [247, 147, 26] }, { name: 'Satoshi Gold', rgb: [255, 190, 60] },
+                { name: 'Block Amber', rgb: [220, 110, 10] }, { name: 'Hash White', rgb: [245, 245, 245] }
+            ],
+            pupil: [{ name: 'Cold Storage', rgb: [10, 10, 10] }, { name: 'Bitcoin Orange', rgb: [247, 147, 26] }],
+            effect: [{ name: 'Bitcoin Orange', rgb: [247, 147, 26] }, { name: 'Satoshi Gold', rgb: [255, 200, 40] }, { name: 'Copper', rgb: [200, 100, 40] }],
+            laser: [{ name: 'Orange Beam', rgb: [247, 147, 26] }, { name: 'Gold Beam', rgb: [255, 200, 40] }],
+            aura: [{ name: 'Orange Halo', rgb: [247, 147, 26] }, { name: 'Amber Halo', rgb: [255, 170, 60] }]
+        }
+    }
+
+};
+
+(function registerEditions() {
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    Object.keys(WITNESS_PALETTES).forEach(name => EyeballClass.registerPalette(name, WITNESS_PALETTES[name]));
+})();
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WITNESS_PALETTES };
+}
@@ -0,0 +1,121 @@
+// Witness Rarity Engine
+// Rolls the traits for a list of seeds (no rendering), builds frequency tables for every
+// trait and trait combination, and gives each Witness a statistical rarity score and rank.
+//
+// Scores use information content: each trait adds -log2(share of the collection that has
+// the same value), so a trait held by 1 in 8 adds 3 points and one held by everybody adds 0.
+// Ranks use standard competition ranking (1 = rarest, ties share a rank).
+
+// Traits that count towards the score. Each maps an Eyeball to the value being counted.
+// Every effect plugin is scored too (yes/no on its flag), between pupilShape and essenceType.
+const RARITY_TRAITS = {
+    socketShape: eyeball => eyeball.socketShape,
+    scleraTexture: eyeball => eyeball.scleraTexture,
+    irisPattern: eyeball => eyeball.irisPattern,
+    pupilShape: eyeball => eyeball.pupilShape,
+    essenceType: eyeball => eyeball.style
+};
+
+// The scored traits including the effects registered right now, so a registered effect counts
+function rarityTraits(EyeballClass) {
+    const { essenceType, ...shapes } = RARITY_TRAITS;
+    const effects = {};
+    Object.keys(EyeballClass.PLUGINS.effect).forEach(name => {
+        const flag = EyeballClass.PLUGINS.effect[name].flag;
+        effects[name] = eyeball => eyeball[flag] ? 'yes' : 'no';
+    });
+    return { ...shapes, ...effects, essenceType };
+}
+
+// Informational tables only (not scored): they overlap with the traits above
+const RARITY_EXTRA_TRAITS = {
+    irisShape: eyeball => eyeball.irisShape,
+    powerCount: eyeball => String(eyeball.traits.arcanePowers.effects.length),
+    arcanePowers: eyeball => eyeball.traits.arcanePowers.effects.join('+') || 'none'
+};
+
+// Categorical traits whose pairwise combinations get their own frequency tables
+const RARITY_COMBINED_TRAITS = ['socketShape', 'scleraTexture', 'irisPattern', 'pupilShape', 'arcanePowers', 'essenceType'];
+
+function buildRarity(seeds) {
+    const EyeballClass = typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+    const scored = rarityTraits(EyeballClass);
+    const extractors = { ...scored, ...RARITY_EXTRA_TRAITS };
+    
+    // Roll every Witness once
+    const entries = seeds.map(seed => {
+        const eyeball = new EyeballClass(seed);
+        const values = {};
+        Object.keys(extractors).forEach(trait => {
+            values[trait] = extractors[trait](eyeball);
+        });
+        return { seed, values };
+    });
+    
+    // Frequency tables
+    const traits = {};
+    Object.keys(extractors).forEach(trait => {
+        traits[trait] = {};
+    });
+    const combinations = {};
+    const pairs = [];
+    RARITY_COMBINED_TRAITS.forEach((a, i) => {
+        RARITY_COMBINED_TRAITS.slice(i + 1).forEach(b => {
+            pairs.push([a, b]);
+            combinations[`${a}+${b}`] = {};
+        });
+    });
+    
+    entries.forEach(entry => {
+        Object.keys(extractors).forEach(trait => {
+            const value = entry.values[trait];
+            traits[trait][value] = (traits[trait][value] || 0) + 1;
+        });
+        pairs.forEach(([a, b]) => {
+            const key = `${entry.values[a]} | ${entry.values[b]}`;
+            const table = combinations[`${a}+${b}`];
+            table[key] = (table[key] || 0) + 1;
+        });
+    });
+    
+    // Score every Witness
+    const total = entries.length;
+    const witnesses = entries.map(entry => {
+        const breakdown = {};
+        let score = 0;
+        Object.keys(scored).forEach(trait => {
+            const value = entry.values[trait];
+            const count = traits[trait][value];
+            const points = -Math.log2(count / total);
+            breakdown[trait] = { value, count, frequency: count / total, score: points };
+            score += points;
+        });
+        return { seed: entry.seed, score, rank: 0, traits: breakdown };
+    });
+    
+    // Rank by score, rarest first (input order breaks ties for listing only)
+    const ranked = witnesses
+        .map((witness, index) => ({ witness, index }))
+        .sort((a, b) => b.witness.score - a.witness.score || a.index - b.index)
+        .map(item => item.witness);
+    ranked.forEach((witness, i) => {
+        const previous = ranked[i - 1];
+        witness.rank = previous && previous.score === witness.score ? previous.rank : i + 1;
+    });
+    
+    return {
+        size: total,
+        tables: { traits, combinations },
+        witnesses: ranked
+    };
+}
+
+// Look up one seed in a rarity report
+function rarityOf(report, seed) {
+    return report.witnesses.find(witness => witness.seed === seed) || null;
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { buildRarity, rarityOf, rarityTraits, RARITY_TRAITS };
+}
@@ -0,0 +1,28 @@
+// Witness Seed Search - worker
+// Runs searchSeeds for one seed range off the main thread.
+//
+// Browser: new Worker('witness-search-worker.js'), then
+//   worker.postMessage({ query, from, to, limit }) -> message { matches, scanned } or { error }
+// Node: new Worker('witness-search-worker.js', { workerData: { query, from, to, limit } })
+//   from worker_threads; posts the same messages to the parent.
+
+function runSearchJob(job, searchSeeds) {
+    try {
+        return searchSeeds(job.query, job);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+if (typeof importScripts === 'function') {
+    // Browser Web Worker
+    importScripts('eyeball-generator-native.js', 'witness-search.js');
+    self.onmessage = event => {
+        self.postMessage(runSearchJob(event.data, searchSeeds));
+    };
+} else {
+    // Node worker thread
+    const { parentPort, workerData } = require('worker_threads');
+    const { searchSeeds } = require('./witness-search.js');
+    parentPort.postMessage(runSearchJob(workerData, searchSeeds));
+}
@@ -0,0 +1,202 @@
+// Witness Seed Search
+// Scans seed ranges for Witnesses matching a trait query. Only the traits are rolled
+// (SeededRandom + generateProperties); nothing is rendered.
+//
+// Query syntax:
+//   pupilShape=multiple AND hasLightning AND irisPattern=void
+//   powers>=3 AND NOT hasLaser
+//   (socketShape=star OR socketShape=hexagon) AND irisColor=Crimson
+//
+// Terms are any Eyeball property, compared with = != > >= < <=. A bare name is true when
+// the property is truthy. Colors compare by name (getColorName), and a few derived
+// fields are available too: powers (number of Arcane Powers), irisColor (= irisColor1).
+// AND binds tighter than OR; NOT and parentheses work as usual. Keywords are case-insensitive.
+
+const SEARCH_SEED_MIN = 1;
+const SEARCH_SEED_MAX = 999999;
+
+// Fields that are not plain Eyeball properties
+const SEARCH_DERIVED_FIELDS = {
+    powers: eyeball => eyeball.traits.arcanePowers.effects.length,
+    irisColor: eyeball => eyeball.getColorName(eyeball.irisColor1)
+};
+
+// Fields whose values must be one of the known trait values
+const SEARCH_ENUM_FIELDS = {
+    socketShape: 'socketShape',
+    scleraTexture: 'scleraTexture',
+    irisPattern: 'irisPattern',
+    pupilShape: 'pupilShape',
+    style: 'style'
+};
+
+function searchEngine() {
+    return typeof Eyeball !== 'undefined' ? Eyeball : require('./eyeball-generator-native.js').Eyeball;
+}
+
+function tokenizeQuery(text) {
+    const tokens = [];
+    const pattern = /\s*(\(|\)|!=|>=|<=|=|>|<|[^\s()!=<>]+)/y;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        tokens.push(match[1]);
+    }
+    if (pattern.lastIndex < text.trimEnd().length) {
+        throw new Error(`Could not parse query near "${text.slice(pattern.lastIndex)}"`);
+    }
+    return tokens;
+}
+
+// Compile a query string into a predicate: eyeball => boolean
+function parseQuery(text) {
+    const EyeballClass = searchEngine();
+    const sample = new EyeballClass(1);
+    const tokens = tokenizeQuery(text);
+    let position = 0;
+    
+    const peek = () => tokens[position];
+    const isKeyword = (token, keyword) => token !== undefined && token.toUpperCase() === keyword;
+    
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            position++;
+            const a = left;
+            const b = parseAnd();
+            left = eyeball => a(eyeball) || b(eyeball);
+        }
+        return left;
+    }
+    
+    function parseAnd() {
+        let left = parseUnary();
+        while (isKeyword(peek(), 'AND')) {
+            position++;
+            const a = left;
+            const b = parseUnary();
+            left = eyeball => a(eyeball) && b(eyeball);
+        }
+        return left;
+    }
+    
+    function parseUnary() {
+        const token = peek();
+        if (token === undefined) {
+            throw new Error('Query ended early');
+        }
+        if (isKeyword(token, 'NOT')) {
+            position++;
+            const inner = parseUnary();
+            return eyeball => !inner(eyeball);
+        }
+        if (token === '(') {
+            position++;
+            const inner = parseOr();
+            if (peek() !== ')') throw new Error('Missing ")" in query');
+            position++;
+            return inner;
+        }
+        return parseTerm();
+    }
+    
+    function parseTerm() {
+        const field = tokens[position++];
+        if (/^[()=!<>]/.test(field)) {
+            throw new Error(`Expected a trait name, got "${field}"`);
+        }
+        
+        const getter = fieldGetter(field);
+        const operator = peek();
+        if (!['=', '!=', '>', '>=', '<', '<='].includes(operator)) {
+            return eyeball => Boolean(getter(eyeball));
+        }
+        position++;
+        
+        const raw = tokens[position++];
+        if (raw === undefined) throw new Error(`Missing value after ${field}${operator}`);
+        return compareTerm(field, getter, operator, raw);
+    }
+    
+    function fieldGetter(field) {
+        if (SEARCH_DERIVED_FIELDS[field]) {
+            return SEARCH_DERIVED_FIELDS[field];
+        }
+        if (!(field in sample) || typeof sample[field] === 'function') {
+            throw new Error(`Unknown trait "${field}"`);
+        }
+        if (Array.isArray(sample[field])) {
+            // RGB colors are searched by name
+            return eyeball => eyeball.getColorName(eyeball[field]);
+        }
+        return eyeball => eyeball[field];
+    }
+    
+    function compareTerm(field, getter, operator, raw) {
+        const example = getter(sample);
+        
+        if (typeof example === 'number') {
+            const value = Number(raw);
+            if (!isFinite(value)) throw new Error(`${field} needs a number, got "${raw}"`);
+            switch (operator) {
+                case '=': return eyeball => getter(eyeball) === value;
+                case '!=': return eyeball => getter(eyeball) !== value;
+                case '>': return eyeball => getter(eyeball) > value;
+                case '>=': return eyeball => getter(eyeball) >= value;
+                case '<': return eyeball => getter(eyeball) < value;
+                default: return eyeball => getter(eyeball) <= value;
+            }
+        }
+        
+        if (operator !== '=' && operator !== '!=') {
+            throw new Error(`${field} can only be compared with = or !=`);
+        }
+        
+        let value = raw;
+        if (typeof example === 'boolean') {
+            if (raw !== 'true' && raw !== 'false') throw new Error(`${field} is true or false, got "${raw}"`);
+            value = raw === 'true';
+        } else if (SEARCH_ENUM_FIELDS[field]) {
+            const known = EyeballClass.traitOptions(SEARCH_ENUM_FIELDS[field]).map(option => option.name);
+            if (!known.includes(raw)) {
+                throw new Error(`Unknown ${field} "${raw}" (expected one of ${known.join(', ')})`);
+            }
+        }
+        
+        return operator === '='
+            ? eyeball => getter(eyeball) === value
+            : eyeball => getter(eyeball) !== value;
+    }
+    
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}" in query`);
+    }
+    return predicate;
+}
+
+// Scan seeds from..to (inclusive) and return the ones matching the query
+function searchSeeds(query, options = {}) {
+    const from = options.from !== undefined ? options.from : SEARCH_SEED_MIN;
+    const to = options.to !== undefined ? options.to : SEARCH_SEED_MAX;
+    const limit = options.limit !== undefined ? options.limit : Infinity;
+    const predicate = typeof query === 'function' ? query : parseQuery(query);
+    const EyeballClass = searchEngine();
+    
+    const matches = [];
+    let scanned = 0;
+    for (let seed = from; seed <= to && matches.length < limit; seed++) {
+        if (predicate(new EyeballClass(seed))) {
+            matches.push(seed);
+        }
+        scanned++;
+        if (options.onProgress && scanned % 10000 === 0) {
+            options.onProgress(scanned);
+        }
+    }
+    return { matches, scanned };
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseQuery, searchSeeds, SEARCH_SEED_MIN, SEARCH_SEED_MAX };
+}
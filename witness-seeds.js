@@ -0,0 +1,197 @@
+// Witness Seeds
+// Turns on-chain identifiers and plain text into Eyeball seeds, the same way in every browser
+// and in Node (pure JS SHA-256, no Web Crypto).
+//
+// A seed is SHA-256 of a UTF-8 string, with the first 6 bytes of the digest (big-endian) mapped
+// into min..max (default 1..999999). Each kind of input gets its own prefix, so the same digits
+// as a sat number and as text give different seeds:
+//
+//   seedFromString('hello')          sha256('hello')
+//   seedFromInscription('<txid>i0')  sha256('inscription:<txid>i0')   (txid lowercased)
+//   seedFromSat(1234567890)          sha256('sat:1234567890')
+//   seedFromTxid('<txid>')           sha256('txid:<txid>')            (txid lowercased)
+
+const SEED_RANGE = { min: 1, max: 999999 };
+const MAX_SAT = 2099999997689999;
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// UTF-8 bytes of a string (lone surrogates become U+FFFD, like TextEncoder)
+function utf8Bytes(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        let code = text.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+            const next = text.charCodeAt(i + 1);
+            if (next >= 0xdc00 && next <= 0xdfff) {
+                code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+                i++;
+            }
+        }
+        if (code >= 0xd800 && code <= 0xdfff) code = 0xfffd;
+        
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// SHA-256 digest of a byte array, as 32 bytes
+function sha256(bytes) {
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    
+    // Padding: 0x80, zeros, then the bit length as a 64-bit big-endian number
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+    
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + s1 + ch + SHA256_K[i] + w[i]) | 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) | 0;
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        [a, b, c, d, e, f, g, hh].forEach((value, i) => {
+            h[i] = (h[i] + value) | 0;
+        });
+    }
+    
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    h.forEach((value, i) => out.setUint32(i * 4, value >>> 0));
+    return digest;
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Hash a string and map it into min..max (inclusive)
+function seedFromString(text, range = SEED_RANGE) {
+    if (typeof text !== 'string') throw new Error('seedFromString needs a string');
+    const { min, max } = { ...SEED_RANGE, ...range };
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+        throw new Error(`Invalid seed range ${min}..${max}`);
+    }
+    
+    const digest = sha256(utf8Bytes(text));
+    // First 48 bits: exact in a double, and the modulo bias is negligible for any sane range
+    let value = 0;
+    for (let i = 0; i < 6; i++) {
+        value = value * 256 + digest[i];
+    }
+    return min + value % (max - min + 1);
+}
+
+function normalizeTxid(txid) {
+    const text = String(txid).trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(text)) throw new Error(`Invalid txid "${txid}"`);
+    return text;
+}
+
+// Inscription IDs look like <txid>i<index>
+function normalizeInscriptionId(id) {
+    const match = String(id).trim().toLowerCase().match(/^([0-9a-f]{64})i(\d+)$/);
+    if (!match) throw new Error(`Invalid inscription ID "${id}"`);
+    return `${match[1]}i${parseInt(match[2], 10)}`;
+}
+
+function normalizeSat(sat) {
+    const text = String(sat).trim();
+    if (!/^\d+$/.test(text) || Number(text) > MAX_SAT) throw new Error(`Invalid sat number "${sat}"`);
+    return String(Number(text));
+}
+
+function seedFromInscription(id, range) {
+    return seedFromString(`inscription:${normalizeInscriptionId(id)}`, range);
+}
+
+function seedFromSat(sat, range) {
+    return seedFromString(`sat:${normalizeSat(sat)}`, range);
+}
+
+function seedFromTxid(txid, range) {
+    return seedFromString(`txid:${normalizeTxid(txid)}`, range);
+}
+
+// Seed for whatever someone typed into a seed box:
+//   123456           a plain seed, used as is (other whole numbers are out of range and throw)
+//   <txid>i<n>       inscription ID
+//   <txid>           transaction ID
+//   sat:<n>          sat number
+//   text:<text>      text, even if it looks like one of the above
+//   anything else    text
+function seedFromInput(input, range) {
+    const text = String(input).trim();
+    const { min, max } = { ...SEED_RANGE, ...range };
+    if (/^\d+$/.test(text)) {
+        if (Number(text) < min || Number(text) > max) {
+            throw new Error(`Seed ${text} is out of range ${min}..${max} (use text:${text} to hash it as text)`);
+        }
+        return Number(text);
+    }
+    if (/^[0-9a-f]{64}i\d+$/i.test(text)) return seedFromInscription(text, range);
+    if (/^[0-9a-f]{64}$/i.test(text)) return seedFromTxid(text, range);
+    if (/^sat:/i.test(text)) return seedFromSat(text.slice(4), range);
+    if (/^text:/i.test(text)) return seedFromString(text.slice(5), range);
+    if (text === '') throw new Error('Empty seed input');
+    return seedFromString(text, range);
+}
+
+// Node / CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        seedFromString,
+        seedFromInscription,
+        seedFromSat,
+        seedFromTxid,
+        seedFromInput,
+        sha256,
+        utf8Bytes,
+        toHex,
+        SEED_RANGE
+    };
+}